@@ -1,17 +1,167 @@
 /* Goal Counter Card
- * - Simple local counter per goal id (persisted via backend integration `goal_counter`)
+ * - Simple local counter per goal id (persisted via backend integration `goal_counter`, this browser or a demo store)
  * - Configurable goals in the card editor
  */
 
 const DOMAIN = "goal_counter";
-const CARD_VERSION = "0.1.0";
+const CARD_VERSION = "0.2.0";
 
 const CHECKLIST_PREFIX = "checklist:";
+const HISTORY_PREFIX = "history:";
+const MILESTONE_PREFIX = "milestone:";
+const DEFAULT_TRIGGER_EVENT = "goal_counter_milestone";
+
+const DEFAULT_STEPS = [-1, 1, 9, 18];
+const DEFAULT_SET_SIZE = 60;
+
+const STORAGE_PREFIX = "goal-counter-card";
+const FLUSH_DELAY_MS = 1000;
+const RETRY_MAX_MS = 60000;
+// Each card instance persists its own queue and beats while it holds unsent deltas. A queue
+// whose owner stopped beating belongs to a closed page and may be adopted, after a claim on
+// it has stood for QUEUE_CLAIM_MS.
+const QUEUE_HEARTBEAT_MS = 15000;
+const QUEUE_STALE_MS = QUEUE_HEARTBEAT_MS * 3;
+const QUEUE_CLAIM_MS = 300;
+const UNDO_TOAST_MS = 6000;
+const UNDO_LIMIT = 50;
+const DEFAULT_PACE_WINDOW = 7;
+// Every day of the window is a key per goal; older backends read those one at a time.
+const MAX_PACE_WINDOW = 90;
+const DEFAULT_CHART_DAYS = 30;
+const DEFAULT_ACTIVITY_LIMIT = 10;
+// `ws` is the goal_counter integration, `local` this browser's localStorage and `demo`
+// an in-memory store that is gone on reload.
+const STORAGE_KINDS = ["ws", "local", "demo"];
+const LOCAL_STORE_LOG_LIMIT = 200;
+// localStorage only holds a few MB; history older than the longest chart is pruned there.
+const LOCAL_HISTORY_DAYS = 365;
+// Ends a namespace in a backend key, e.g. `kitchen/checklist:a`.
+const NAMESPACE_SEPARATOR = "/";
+const CHECK_STATES = ["all", "open", "done"];
+// Long checklists only keep the rows in view (plus some overscan) in the DOM. Rows are
+// clipped to these heights (px) so the spacers can stand in for the rest.
+const CHECKLIST_WINDOW_MIN = 150;
+const CHECKLIST_VIEWPORT = 480;
+const CHECKLIST_OVERSCAN = 10;
+const CHECKLIST_ROW_HEIGHTS = { head: 40, item: 44, meta: 62 };
+const RESET_PERIODS = ["daily", "weekly", "monthly"];
+// Separates a counter key from its period label, e.g. `production@2026-W43`.
+const PERIOD_SEPARATOR = "@";
+// How far back a cron reset looks for its last run (covers "29 February" schedules).
+const CRON_LOOKBACK_DAYS = 366 * 5;
+// Index matches Date#getDay().
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const HOLIDAY_LOOKAHEAD_DAYS = 366;
+// A workday entity is asked about one date per call, so it only covers the coming weeks.
+const WORKDAY_LOOKAHEAD_DAYS = 60;
+
+// Entity domains a goal can be bound to and write back through `<domain>.set_value`.
+// Anything else (sensor, template, ...) is shown read-only.
+const WRITABLE_ENTITY_DOMAINS = ["counter", "input_number", "number"];
+const BINDABLE_ENTITY_DOMAINS = [...WRITABLE_ENTITY_DOMAINS, "sensor"];
+
+// Header cells that map a checklist import column to an item field.
+const IMPORT_HEADER_WORDS = {
+  label: ["butik", "store", "navn", "name", "label", "punkt", "item", "checkliste", "checklist"],
+  id: ["id", "nr", "nummer", "number", "code", "kode"],
+  group: ["gruppe", "group", "region", "område", "area"],
+  quantity: ["antal", "quantity", "qty", "mængde", "amount"],
+  // Not an item field: the CSV export's column telling checklist rows from goal rows.
+  type: ["type", "ark", "sheet"],
+};
+const IMPORT_FIELDS = ["label", "id", "group", "quantity"];
+const IMPORT_PREVIEW_ROWS = 50;
 
 function safeText(v) {
   return (v ?? "").toString();
 }
 
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+// Everything user-provided (config, imports, backend errors) goes through this before
+// it is interpolated into markup, both as text and inside attribute values.
+function escapeHtml(v) {
+  return safeText(v).replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+}
+
+// Updates `root` to match `html` in place: unchanged nodes are kept (with their focus,
+// scroll position and handlers), changed attributes and text are patched, and children
+// carrying `data-key` are matched by key so rows can move or disappear without the
+// rest being rebuilt.
+function morphChildren(root, html) {
+  const tpl = document.createElement("template");
+  tpl.innerHTML = html;
+  patchChildren(root, tpl.content);
+}
+
+function nodeKey(node) {
+  return node.nodeType === 1 ? node.getAttribute("data-key") : null;
+}
+
+function sameKind(a, b) {
+  return a.nodeType === b.nodeType && a.nodeName === b.nodeName;
+}
+
+function patchChildren(target, source) {
+  const keyed = new Map();
+  for (const child of target.childNodes) {
+    const key = nodeKey(child);
+    if (key != null) keyed.set(key, child);
+  }
+  let cur = target.firstChild;
+  for (const src of [...source.childNodes]) {
+    const key = nodeKey(src);
+    let match = key != null ? keyed.get(key) : cur && nodeKey(cur) == null ? cur : null;
+    if (match && !sameKind(match, src)) match = null;
+    if (!match) {
+      target.insertBefore(src, cur);
+      continue;
+    }
+    if (key != null) keyed.delete(key);
+    if (match === cur) cur = cur.nextSibling;
+    else target.insertBefore(match, cur);
+    patchNode(match, src);
+  }
+  while (cur) {
+    const next = cur.nextSibling;
+    target.removeChild(cur);
+    cur = next;
+  }
+}
+
+function patchNode(el, src) {
+  if (el.nodeType !== 1) {
+    if (el.nodeValue !== src.nodeValue) el.nodeValue = src.nodeValue;
+    return;
+  }
+  for (const { name } of [...el.attributes]) {
+    if (!src.hasAttribute(name)) el.removeAttribute(name);
+  }
+  for (const { name, value } of [...src.attributes]) {
+    if (el.getAttribute(name) !== value) el.setAttribute(name, value);
+  }
+  patchChildren(el, src);
+  if (el.tagName === "INPUT" || el.tagName === "SELECT" || el.tagName === "TEXTAREA") patchFormState(el, src);
+}
+
+// Once a control has been touched its attributes no longer drive what it shows, so the
+// live state is synced too. The control being typed in is left alone.
+function patchFormState(el, src) {
+  if (el.type === "checkbox" || el.type === "radio") {
+    el.checked = src.hasAttribute("checked");
+    return;
+  }
+  if (el.type === "file" || el.getRootNode().activeElement === el) return;
+  let value = src.getAttribute("value") ?? "";
+  if (el.tagName === "TEXTAREA") value = src.textContent;
+  if (el.tagName === "SELECT") {
+    const picked = [...src.options].find((o) => o.hasAttribute("selected")) || src.options[0];
+    value = picked ? picked.value : "";
+  }
+  if (el.value !== value) el.value = value;
+}
+
 function clampInt(v) {
   const n = Number(v);
   if (!Number.isFinite(n)) return 0;
@@ -24,31 +174,785 @@ function clampFloat(v) {
   return n;
 }
 
+const DEFAULT_LANGUAGE = "da";
+
+const TRANSLATIONS = {
+  da: {
+    "card.empty_goals": "Tilføj mindst ét goal i editoren.",
+    "card.empty_checklist": "Tilføj punkter i editoren.",
+    "card.loading": "Indlæser…",
+    "card.goals": "Goals",
+    "card.checklist": "Checkliste",
+    "card.target": "Mål",
+    "card.missing": "Manglende",
+    "card.days": "Dage",
+    "card.date": "Dato",
+    "card.per_day": "Pr. dag",
+    "card.measured_per_day": "Målt pr. dag",
+    "card.last_period": "Forrige {period}",
+    "card.period_week": "uge {week}",
+    "card.due": "Deadline",
+    "card.required_per_day": "Krævet pr. dag",
+    "card.status_ahead": "Foran",
+    "card.status_on_track": "På sporet",
+    "card.status_behind": "Bagud",
+    "card.status_done": "Nået",
+    "card.entity_unavailable": "{entity} er ikke tilgængelig",
+    "card.entity_failed": "{entity} blev ikke opdateret, så trykket er kasseret: {error}",
+    "card.menu": "Menu",
+    "card.export": "Eksportér checkliste og goals",
+    "card.undo": "Fortryd",
+    "card.undo_last": "Fortryd seneste ({count})",
+    "card.check_visible": "Afkryds alle viste",
+    "card.uncheck_visible": "Fjern flueben ved alle viste",
+    "card.reset_checklist": "Nulstil checklisten",
+    "card.confirm_check": "Afkryds {count} viste punkter?",
+    "card.confirm_uncheck": "Fjern flueben ved {count} viste punkter?",
+    "card.confirm_reset": "Nulstil checklisten? Flueben fjernes ved {count} punkter.",
+    "card.confirm": "Bekræft",
+    "card.cancel": "Annullér",
+    "card.chart_actual": "Faktisk",
+    "card.chart_target": "Mål",
+    "card.chart_projection": "Prognose",
+    "card.search": "Søg i checklisten…",
+    "card.ungrouped": "Uden gruppe",
+    "card.only_mine": "Kun mine",
+    "card.filter_all": "Alle",
+    "card.filter_open": "Ikke afkrydset",
+    "card.filter_done": "Afkrydset",
+    "card.matches": "{count} af {total}",
+    "card.no_matches": "Ingen punkter matcher filteret.",
+    "card.checked_by": "Afkrydset af {user} {date}",
+    "card.activity": "Seneste aktivitet",
+    "card.activity_checked": "afkrydsede {item}",
+    "card.activity_unchecked": "fjernede flueben ved {item}",
+    "card.activity_checked_many": "afkrydsede {count} punkter",
+    "card.activity_unchecked_many": "fjernede flueben ved {count} punkter",
+    "card.activity_goal": "{delta} på {goal}",
+    "card.someone": "Ukendt",
+    "card.produced": "Antal lavet i alt",
+    "card.remaining": "Antal tilbage",
+    "card.ready_sets": "Sæt klar til levering",
+    "card.done": "Fuldført",
+    "card.left": "Mangler",
+    "card.load_errors": "Kunne ikke indlæse {count} værdi(er): {keys}",
+    "card.unsaved": "{count} ændring(er) er ikke gemt endnu",
+    "card.storage_local": "Gemmes kun i denne browser.",
+    "card.storage_demo": "Demo: ændringer gemmes ikke.",
+    "config.unknown_key": "{path}: ukendt indstilling",
+    "config.not_list": "{path}: skal være en liste",
+    "config.not_object": "{path}: skal være et objekt",
+    "config.empty_name": "{path}: har hverken navn eller id og udelades",
+    "config.empty_label": "{path}: har hverken tekst eller id og udelades",
+    "config.negative": "{path}: må ikke være negativ",
+    "config.invalid": "{path}: ugyldig værdi",
+    "config.duplicate_id": '{path}: id "{id}" bruges allerede af {first} og udelades',
+    "config.newer_version": "Konfigurationen er fra en nyere version af kortet ({version}). Opdatér kortet.",
+    "editor.title": "Titel",
+    "editor.optional": "(valgfri)",
+    "editor.language": "Sprog",
+    "editor.language_auto": "Automatisk (Home Assistant)",
+    "editor.storage": "Lagring",
+    "editor.storage_ws": "Home Assistant (goal_counter)",
+    "editor.storage_local": "Kun denne browser",
+    "editor.storage_demo": "Demo (gemmes ikke)",
+    "editor.storage_hint": "Uden integrationen viser forhåndsvisningen demodata.",
+    "editor.namespace": "Navnerum",
+    "editor.namespace_hint": "Holder kortets tællere adskilt fra andre kort med de samme goal-id'er.",
+    "editor.per_user": "Egne tællere for hver bruger",
+    "editor.migrate": "Kopiér eksisterende værdier hertil",
+    "editor.migrate_confirm": "Kopiér {count} værdi(er) ind i {namespace}?",
+    "editor.migrate_shared": "Værdierne uden navnerum bliver liggende. Andre kort med de samme id'er uden dette navnerum tæller ikke længere sammen med dette kort.",
+    "editor.migrate_run": "Kopiér",
+    "editor.migrate_none": "Der er ingen værdier uden navnerum at kopiere.",
+    "editor.migrate_done": "{count} værdi(er) kopieret til {namespace}.",
+    "editor.cancel": "Annullér",
+    "editor.default_steps": "Standard-knapper",
+    "editor.steps_hint": 'Kommasepareret, fx "-1, +1, +10, 60=Sæt". Gælder goals uden egne knapper.',
+    "editor.goals": "Goals",
+    "editor.no_goals": "Ingen goals endnu",
+    "editor.add_goal": "Tilføj goal",
+    "editor.new_goal": "Nyt mål",
+    "editor.name": "Navn",
+    "editor.target": "Mål",
+    "editor.per_day": "Pr. dag",
+    "editor.steps": "Knapper (standard)",
+    "editor.due_date": "Deadline",
+    "editor.entity": "Entitet (valgfri, fx counter.x eller input_number.x)",
+    "editor.milestones": "Milepæle i % (fx 50, 100)",
+    "editor.reset": "Nulstil (daily, weekly, monthly eller cron, fx 0 6 * * 1)",
+    "editor.checklist_reset": "Nulstil checklisten",
+    "editor.reset_hint": "Ved hver nulstilling starter tællerne forfra; den forrige periodes resultat gemmes og vises ved siden af. Cron: minut time dag måned ugedag.",
+    "editor.automation": "Automatisering",
+    "editor.trigger_event": "Event-type",
+    "editor.trigger_service": "Service i stedet for event (valgfri, fx script.fejr)",
+    "editor.trigger_checklist": "Udløs når hele checklisten er afkrydset",
+    "editor.automation_hint": "Udløses én gang pr. milepæl med goal_id, value, target og percent. En service får de samme felter som data.",
+    "editor.remove": "Fjern",
+    "editor.pace": "Tempo",
+    "editor.pace_window": "Målingsvindue (dage)",
+    "editor.eta_pace": "Dage og dato beregnes ud fra",
+    "editor.eta_configured": "Planlagt pr. dag",
+    "editor.eta_measured": "Målt pr. dag",
+    "editor.pace_hint": "Målt tempo er gennemsnittet af de seneste hele dage. Uden målinger bruges det planlagte.",
+    "editor.chart": "Graf",
+    "editor.show_chart": "Vis burn-up graf når man klikker på et goal",
+    "editor.chart_days": "Dage i grafen",
+    "editor.workdays": "Arbejdsdage",
+    "editor.excluded_dates": "Lukkedage (YYYY-MM-DD, kommasepareret)",
+    "editor.holiday_calendar": "Kalender med helligdage (valgfri)",
+    "editor.workday_entity": "Workday-sensor (valgfri)",
+    "editor.workdays_hint": "Dage og dato tæller kun arbejdsdage. Heldagsbegivenheder i kalenderen springes over, og en Workday-sensor bestemmer ugen og fridagene.",
+    "editor.delivery": "Levering",
+    "editor.set_size_hint": "Antal pr. sæt. Et afkrydset punkt trækker sit eget antal, ellers ét sæt.",
+    "editor.delivery_goals_hint": "Goals som leveringer trækkes fra.",
+    "editor.checklist": "Checkliste",
+    "editor.import": "Importér",
+    "editor.export": "Eksportér",
+    "editor.export_hint": "Eksporterer checklisten (punkt, id, afkrydset) og goals (navn, id, antal, mål). XLSX hvis XLSX library er tilføjet, ellers CSV.",
+    "editor.import_hint": "Importer CSV/TSV/TXT (eller XLSX hvis XLSX library er tilføjet). Vælg kolonner og se ændringerne før de gemmes.",
+    "editor.no_items": "Ingen punkter endnu",
+    "editor.add_item": "Tilføj punkt",
+    "editor.new_item": "Nyt punkt",
+    "editor.item": "Punkt",
+    "editor.group": "Gruppe",
+    "editor.notes": "Noter",
+    "editor.assignee": "Ansvarlig",
+    "editor.unassigned": "Ingen ansvarlig",
+    "editor.activity": "Seneste aktivitet",
+    "editor.activity_hint": "Antal ændringer der vises på kortet (0 skjuler panelet). Hvem og hvornår gemmes kun, hvis backenden understøtter det.",
+    "export.checklist": "Checkliste",
+    "export.goals": "Goals",
+    "export.id": "Id",
+    "export.checked": "Afkrydset",
+    "export.name": "Navn",
+    "export.count": "Optalt",
+    "export.target": "Mål",
+    "export.type": "Type",
+    "export.goal": "Goal",
+    "export.group": "Gruppe",
+    "export.quantity": "Antal",
+    "import.xlsx_missing":
+      "XLSX import kræver XLSX (SheetJS) library. Gem filen som CSV, eller tilføj XLSX som Lovelace resource (fx /local/xlsx.full.min.js).",
+    "import.no_sheets": "Ingen sheets i XLSX-filen",
+    "import.no_items": "Fandt ingen punkter i filen",
+    "import.nothing_new": "Ingen nye punkter at tilføje (alt fandtes allerede)",
+    "import.preview": "Forhåndsvisning: {file}",
+    "import.header_row": "Overskriftsrække",
+    "import.no_header": "Ingen",
+    "import.row": "Række {n}",
+    "import.column": "Kolonne {n}",
+    "import.field.label": "Punkt",
+    "import.field.id": "Id",
+    "import.field.group": "Gruppe",
+    "import.field.quantity": "Antal",
+    "import.summary": "{add} tilføjes · {update} opdateres · {duplicate} springes over (dubletter)",
+    "import.status.add": "Tilføjes",
+    "import.status.update": "Opdateres",
+    "import.status.duplicate": "Dublet",
+    "import.more": "… og {n} rækker mere",
+    "import.confirm": "Importér",
+    "import.cancel": "Annullér",
+    "import.no_label": "Vælg hvilken kolonne der er punktets navn",
+  },
+  en: {
+    "card.empty_goals": "Add at least one goal in the editor.",
+    "card.empty_checklist": "Add items in the editor.",
+    "card.loading": "Loading…",
+    "card.goals": "Goals",
+    "card.checklist": "Checklist",
+    "card.target": "Target",
+    "card.missing": "Missing",
+    "card.days": "Days",
+    "card.date": "Date",
+    "card.per_day": "Per day",
+    "card.measured_per_day": "Measured per day",
+    "card.last_period": "Last {period}",
+    "card.period_week": "week {week}",
+    "card.due": "Due",
+    "card.required_per_day": "Required per day",
+    "card.status_ahead": "Ahead",
+    "card.status_on_track": "On track",
+    "card.status_behind": "Behind",
+    "card.status_done": "Reached",
+    "card.entity_unavailable": "{entity} is unavailable",
+    "card.entity_failed": "{entity} was not updated, so the tap was discarded: {error}",
+    "card.menu": "Menu",
+    "card.export": "Export checklist and goals",
+    "card.undo": "Undo",
+    "card.undo_last": "Undo last ({count})",
+    "card.check_visible": "Check all visible",
+    "card.uncheck_visible": "Uncheck all visible",
+    "card.reset_checklist": "Reset checklist",
+    "card.confirm_check": "Check {count} visible items?",
+    "card.confirm_uncheck": "Uncheck {count} visible items?",
+    "card.confirm_reset": "Reset the checklist? {count} items will be unchecked.",
+    "card.confirm": "Confirm",
+    "card.cancel": "Cancel",
+    "card.chart_actual": "Actual",
+    "card.chart_target": "Target",
+    "card.chart_projection": "Projection",
+    "card.search": "Search the checklist…",
+    "card.ungrouped": "Ungrouped",
+    "card.only_mine": "Only mine",
+    "card.filter_all": "All",
+    "card.filter_open": "Unchecked",
+    "card.filter_done": "Checked",
+    "card.matches": "{count} of {total}",
+    "card.no_matches": "No items match the filter.",
+    "card.checked_by": "Checked by {user} on {date}",
+    "card.activity": "Recent activity",
+    "card.activity_checked": "checked {item}",
+    "card.activity_unchecked": "unchecked {item}",
+    "card.activity_checked_many": "checked {count} items",
+    "card.activity_unchecked_many": "unchecked {count} items",
+    "card.activity_goal": "{delta} on {goal}",
+    "card.someone": "Someone",
+    "card.produced": "Made in total",
+    "card.remaining": "Left over",
+    "card.ready_sets": "Sets ready for delivery",
+    "card.done": "Done",
+    "card.left": "Remaining",
+    "card.load_errors": "Could not load {count} value(s): {keys}",
+    "card.unsaved": "{count} change(s) not yet saved",
+    "card.storage_local": "Saved in this browser only.",
+    "card.storage_demo": "Demo: changes are not saved.",
+    "config.unknown_key": "{path}: unknown option",
+    "config.not_list": "{path}: must be a list",
+    "config.not_object": "{path}: must be an object",
+    "config.empty_name": "{path}: has neither a name nor an id and is skipped",
+    "config.empty_label": "{path}: has neither a label nor an id and is skipped",
+    "config.negative": "{path}: must not be negative",
+    "config.invalid": "{path}: invalid value",
+    "config.duplicate_id": '{path}: id "{id}" is already used by {first} and is skipped',
+    "config.newer_version": "This config is from a newer version of the card ({version}). Update the card.",
+    "editor.title": "Title",
+    "editor.optional": "(optional)",
+    "editor.language": "Language",
+    "editor.language_auto": "Automatic (Home Assistant)",
+    "editor.storage": "Storage",
+    "editor.storage_ws": "Home Assistant (goal_counter)",
+    "editor.storage_local": "This browser only",
+    "editor.storage_demo": "Demo (not saved)",
+    "editor.storage_hint": "Without the integration, the preview shows demo data.",
+    "editor.namespace": "Namespace",
+    "editor.namespace_hint": "Keeps this card's counters apart from other cards using the same goal ids.",
+    "editor.per_user": "Separate counters for each user",
+    "editor.migrate": "Copy existing values here",
+    "editor.migrate_confirm": "Copy {count} value(s) into {namespace}?",
+    "editor.migrate_shared": "The values without a namespace stay where they are. Other cards that use the same ids without this namespace no longer count together with this card.",
+    "editor.migrate_run": "Copy",
+    "editor.migrate_none": "There are no values without a namespace to copy.",
+    "editor.migrate_done": "Copied {count} value(s) to {namespace}.",
+    "editor.cancel": "Cancel",
+    "editor.default_steps": "Default buttons",
+    "editor.steps_hint": 'Comma separated, e.g. "-1, +1, +10, 60=Set". Used by goals without their own buttons.',
+    "editor.goals": "Goals",
+    "editor.no_goals": "No goals yet",
+    "editor.add_goal": "Add goal",
+    "editor.new_goal": "New goal",
+    "editor.name": "Name",
+    "editor.target": "Target",
+    "editor.per_day": "Per day",
+    "editor.steps": "Buttons (default)",
+    "editor.due_date": "Due date",
+    "editor.entity": "Entity (optional, e.g. counter.x or input_number.x)",
+    "editor.milestones": "Milestones in % (e.g. 50, 100)",
+    "editor.reset": "Reset (daily, weekly, monthly or cron, e.g. 0 6 * * 1)",
+    "editor.checklist_reset": "Reset the checklist",
+    "editor.reset_hint": "Each reset starts the counters over; the previous period's result is kept and shown next to the current one. Cron: minute hour day month weekday.",
+    "editor.automation": "Automation",
+    "editor.trigger_event": "Event type",
+    "editor.trigger_service": "Service instead of an event (optional, e.g. script.celebrate)",
+    "editor.trigger_checklist": "Trigger when the whole checklist is checked",
+    "editor.automation_hint": "Fires once per milestone with goal_id, value, target and percent. A service gets the same fields as data.",
+    "editor.remove": "Remove",
+    "editor.pace": "Pace",
+    "editor.pace_window": "Measuring window (days)",
+    "editor.eta_pace": "Days and date are based on",
+    "editor.eta_configured": "Planned per day",
+    "editor.eta_measured": "Measured per day",
+    "editor.pace_hint": "Measured pace is the average of the last full days. Without measurements the planned pace is used.",
+    "editor.chart": "Chart",
+    "editor.show_chart": "Show a burn-up chart when a goal is clicked",
+    "editor.chart_days": "Days in the chart",
+    "editor.workdays": "Working days",
+    "editor.excluded_dates": "Closed dates (YYYY-MM-DD, comma separated)",
+    "editor.holiday_calendar": "Holiday calendar (optional)",
+    "editor.workday_entity": "Workday sensor (optional)",
+    "editor.workdays_hint": "Days and date only count working days. All-day events in the calendar are skipped, and a Workday sensor sets the week and days off.",
+    "editor.delivery": "Delivery",
+    "editor.set_size_hint": "Units per set. A checked item uses its own quantity, otherwise one set.",
+    "editor.delivery_goals_hint": "Goals that deliveries draw from.",
+    "editor.checklist": "Checklist",
+    "editor.import": "Import",
+    "editor.export": "Export",
+    "editor.export_hint": "Exports the checklist (item, id, checked) and goals (name, id, count, target). XLSX if the XLSX library is added, otherwise CSV.",
+    "editor.import_hint": "Imports CSV/TSV/TXT (or XLSX if the XLSX library is added). Pick the columns and review the changes before they are saved.",
+    "editor.no_items": "No items yet",
+    "editor.add_item": "Add item",
+    "editor.new_item": "New item",
+    "editor.item": "Item",
+    "editor.group": "Group",
+    "editor.notes": "Notes",
+    "editor.assignee": "Assignee",
+    "editor.unassigned": "Unassigned",
+    "editor.activity": "Recent activity",
+    "editor.activity_hint": "Number of changes shown on the card (0 hides the panel). Who and when is only stored if the backend supports it.",
+    "export.checklist": "Checklist",
+    "export.goals": "Goals",
+    "export.id": "Id",
+    "export.checked": "Checked",
+    "export.name": "Name",
+    "export.count": "Count",
+    "export.target": "Target",
+    "export.type": "Type",
+    "export.goal": "Goal",
+    "export.group": "Group",
+    "export.quantity": "Quantity",
+    "import.xlsx_missing":
+      "XLSX import needs the XLSX (SheetJS) library. Save the file as CSV, or add XLSX as a Lovelace resource (e.g. /local/xlsx.full.min.js).",
+    "import.no_sheets": "No sheets in the XLSX file",
+    "import.no_items": "Found no items in the file",
+    "import.nothing_new": "No new items to add (everything already existed)",
+    "import.preview": "Preview: {file}",
+    "import.header_row": "Header row",
+    "import.no_header": "None",
+    "import.row": "Row {n}",
+    "import.column": "Column {n}",
+    "import.field.label": "Item",
+    "import.field.id": "Id",
+    "import.field.group": "Group",
+    "import.field.quantity": "Quantity",
+    "import.summary": "{add} to add · {update} to update · {duplicate} skipped (duplicates)",
+    "import.status.add": "Add",
+    "import.status.update": "Update",
+    "import.status.duplicate": "Duplicate",
+    "import.more": "… and {n} more rows",
+    "import.confirm": "Import",
+    "import.cancel": "Cancel",
+    "import.no_label": "Pick the column that holds the item name",
+  },
+};
+
+const LANGUAGE_NAMES = { da: "Dansk", en: "English" };
+
+// Config `language` wins over the HA profile language. Unknown languages fall back to English,
+// and with no language information at all we keep the original Danish UI.
+function resolveLanguage(config, hass) {
+  const raw = safeText(config?.language || hass?.locale?.language || hass?.language)
+    .trim()
+    .toLowerCase();
+  if (!raw) return DEFAULT_LANGUAGE;
+  const base = raw.split(/[-_]/)[0];
+  if (TRANSLATIONS[raw]) return raw;
+  if (TRANSLATIONS[base]) return base;
+  return "en";
+}
+
+function localize(lang, key, vars) {
+  const table = TRANSLATIONS[lang] || TRANSLATIONS[DEFAULT_LANGUAGE];
+  const str = table[key] ?? TRANSLATIONS[DEFAULT_LANGUAGE][key] ?? key;
+  if (!vars) return str;
+  return str.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? safeText(vars[name]) : m));
+}
+
+// BCP 47 tag for Intl; HA's locale language may carry a region (e.g. "en-GB").
+function resolveLocaleTag(config, hass) {
+  const raw = safeText(config?.language || hass?.locale?.language || hass?.language).trim();
+  return raw || DEFAULT_LANGUAGE;
+}
+
 function _pad2(n) {
   const v = Number(n);
   return v < 10 ? `0${v}` : `${v}`;
 }
 
-function formatLocalDate(d) {
+function formatNumber(n, locale, digits = 1) {
+  const v = clampFloat(n);
+  try {
+    return new Intl.NumberFormat(locale || undefined, { maximumFractionDigits: digits }).format(v);
+  } catch (e) {
+    return `${Math.round(v * 10 ** digits) / 10 ** digits}`;
+  }
+}
+
+function dayKey(d) {
+  return `${d.getFullYear()}-${_pad2(d.getMonth() + 1)}-${_pad2(d.getDate())}`;
+}
+
+function startOfToday() {
+  const d = new Date();
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+function addDays(d, n) {
+  const out = new Date(d.getTime());
+  out.setDate(out.getDate() + n);
+  return out;
+}
+
+function formatLocalDate(d, locale) {
   if (!(d instanceof Date) || !Number.isFinite(d.getTime())) return "";
+  if (locale) {
+    try {
+      return new Intl.DateTimeFormat(locale, { day: "2-digit", month: "2-digit", year: "numeric" }).format(d);
+    } catch (e) {
+      // Invalid tag; use the fixed format below.
+    }
+  }
   return `${_pad2(d.getDate())}-${_pad2(d.getMonth() + 1)}-${d.getFullYear()}`;
 }
 
+function formatLocalDateTime(d, locale) {
+  const date = formatLocalDate(d, locale);
+  return date ? `${date} ${_pad2(d.getHours())}:${_pad2(d.getMinutes())}` : "";
+}
+
+// Lowercase with accents stripped ("Århus" -> "arhus"); shared by ids and search.
+function foldText(s) {
+  return safeText(s)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
 function slugify(s) {
-  const raw = safeText(s).trim().toLowerCase();
+  const raw = foldText(s).trim();
   if (!raw) return "goal";
   return raw
-    .normalize("NFKD")
-    .replace(/[\u0300-\u036f]/g, "")
     .replace(/[^a-z0-9]+/g, "_")
     .replace(/^_+|_+$/g, "")
     .slice(0, 64) || "goal";
 }
 
+function hashString(s) {
+  let h = 5381;
+  const str = safeText(s);
+  for (let i = 0; i < str.length; i++) h = ((h << 5) + h + str.charCodeAt(i)) | 0;
+  return (h >>> 0).toString(36);
+}
+
+// localStorage can be missing or throw (private mode, quota); persistence is best effort.
+function readStoredJson(key) {
+  try {
+    const raw = window.localStorage?.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeStoredJson(key, value) {
+  try {
+    if (value == null) window.localStorage?.removeItem(key);
+    else window.localStorage?.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    // Ignore; the in-memory queue still works for this session.
+  }
+}
+
+function storedKeys(prefix) {
+  const keys = [];
+  try {
+    const ls = window.localStorage;
+    for (let i = 0; i < (ls?.length || 0); i++) {
+      const key = ls.key(i);
+      if (key && key.startsWith(prefix)) keys.push(key);
+    }
+  } catch (e) {
+    // Nothing to adopt.
+  }
+  return keys;
+}
+
+// A persisted queue is `{ beat, deltas, claim? }`. Queues written before each instance had
+// its own entry are a bare `{ key: delta }` map, with no owner left to beat for them.
+function storedQueue(entry) {
+  if (!entry || typeof entry !== "object") return null;
+  return entry.deltas && typeof entry.deltas === "object" ? entry : { beat: 0, deltas: entry };
+}
+
+// The tab id lives in sessionStorage, so a reloaded card takes its own queue straight back.
+// Cards on one page that would share a queue key get a slot number each.
+const PAGE_ID = Math.random().toString(36).slice(2, 10);
+const queueSlots = new Map();
+
+function tabId() {
+  try {
+    const key = `${STORAGE_PREFIX}:tab`;
+    let id = window.sessionStorage?.getItem(key);
+    if (!id) {
+      id = PAGE_ID;
+      window.sessionStorage?.setItem(key, id);
+    }
+    return id;
+  } catch (e) {
+    return PAGE_ID;
+  }
+}
+
+function acquireQueueSlot(base) {
+  const used = queueSlots.get(base) || new Set();
+  let n = 0;
+  while (used.has(n)) n += 1;
+  used.add(n);
+  queueSlots.set(base, used);
+  return { base, n };
+}
+
+function releaseQueueSlot(slot) {
+  queueSlots.get(slot?.base)?.delete(slot.n);
+}
+
+function retryDelay(retries) {
+  return Math.min(RETRY_MAX_MS, FLUSH_DELAY_MS * 2 ** Math.max(0, retries - 1));
+}
+
 function checklistKey(itemId) {
   return `${CHECKLIST_PREFIX}${safeText(itemId).trim()}`;
 }
 
+// Per-day increments live next to the counters as `history:<goal id>:<YYYY-MM-DD>`.
+function historyKey(goalId, day) {
+  return `${HISTORY_PREFIX}${safeText(goalId).trim()}:${day}`;
+}
+
+function parseHistoryKey(key) {
+  const k = safeText(key);
+  if (!k.startsWith(HISTORY_PREFIX)) return null;
+  const rest = k.slice(HISTORY_PREFIX.length);
+  const idx = rest.lastIndexOf(":");
+  if (idx <= 0) return null;
+  return { goalId: rest.slice(0, idx), day: rest.slice(idx + 1) };
+}
+
+function normalizePace(config) {
+  const days = clampInt(config?.pace_window);
+  return {
+    window: days > 0 ? Math.min(days, MAX_PACE_WINDOW) : DEFAULT_PACE_WINDOW,
+    eta: config?.eta_pace === "measured" ? "measured" : "configured",
+  };
+}
+
+// The last `window` full days, oldest first. Today is still in progress and left out.
+function paceDays(window, today = startOfToday()) {
+  const out = [];
+  for (let i = window; i >= 1; i--) out.push(dayKey(addDays(today, -i)));
+  return out;
+}
+
+function normalizeActivityLimit(config) {
+  const n = config?.activity_limit;
+  if (n == null || n === "") return DEFAULT_ACTIVITY_LIMIT;
+  return Math.min(Math.max(0, clampInt(n)), 100);
+}
+
+function normalizeChart(config) {
+  const days = clampInt(config?.chart_days);
+  return {
+    enabled: !!config?.chart,
+    days: days > 1 ? Math.min(days, 365) : DEFAULT_CHART_DAYS,
+  };
+}
+
+// The last `count` days including today, oldest first.
+function chartDays(count, today = startOfToday()) {
+  const out = [];
+  for (let i = count - 1; i >= 0; i--) out.push(dayKey(addDays(today, -i)));
+  return out;
+}
+
+// Cumulative count at the end of each day, walked back from today's value.
+function buildBurnupSeries(current, history, days) {
+  const out = new Array(days.length);
+  let after = 0;
+  for (let i = days.length - 1; i >= 0; i--) {
+    out[i] = current - after;
+    after += clampInt(history?.[days[i]]);
+  }
+  return out;
+}
+
+function renderBurnupSvg(series, target, pace) {
+  const W = 300;
+  const H = 110;
+  const PAD = 6;
+  const n = series.length;
+  const current = series[n - 1] ?? 0;
+  const missing = Math.max(0, target - current);
+  // Project forward until the target is hit, but never more than the history span.
+  const ahead = pace > 0 && missing > 0 ? Math.min(n, Math.ceil(missing / pace)) : 0;
+  const projected = current + pace * ahead;
+  const xMax = Math.max(1, n - 1 + ahead);
+  const yMax = Math.max(1, target, projected, ...series);
+  const yMin = Math.min(0, ...series);
+  const x = (i) => (PAD + (i / xMax) * (W - 2 * PAD)).toFixed(1);
+  const y = (v) => (H - PAD - ((v - yMin) / (yMax - yMin || 1)) * (H - 2 * PAD)).toFixed(1);
+
+  const actual = series.map((v, i) => `${x(i)},${y(v)}`).join(" ");
+  const targetLine = target > 0 ? `<line class="tgt" x1="${x(0)}" y1="${y(target)}" x2="${x(xMax)}" y2="${y(target)}" />` : "";
+  const projLine = ahead
+    ? `<line class="proj" x1="${x(n - 1)}" y1="${y(current)}" x2="${x(n - 1 + ahead)}" y2="${y(projected)}" />`
+    : "";
+  return `
+    <svg class="burnup" viewBox="0 0 ${W} ${H}" preserveAspectRatio="none" role="img">
+      ${targetLine}
+      ${projLine}
+      <polyline class="act" points="${actual}" />
+    </svg>
+  `;
+}
+
+// Units per working day: everything made in the window, spread over the working days in it.
+function measuredPace(history, days, isWorkDay) {
+  if (!history || !days.length) return null;
+  if (!days.some((d) => d in history)) return null;
+  const sum = days.reduce((acc, d) => acc + clampInt(history[d]), 0);
+  const workDays = isWorkDay ? days.filter((d) => isWorkDay(parseDayKey(d))).length : days.length;
+  return sum / Math.max(1, workDays);
+}
+
+function parseDayKey(s) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(safeText(s).trim());
+  if (!m) return null;
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return dayKey(d) === m[0] ? d : null;
+}
+
+// Weekdays accept names ("mon") or numbers (0 = Sunday, like Date#getDay; 7 is also Sunday).
+// No `working_days` keeps the old behaviour where every day counts.
+function normalizeWorkdays(config) {
+  const raw = Array.isArray(config?.working_days) ? config.working_days : null;
+  const weekdays = new Set();
+  for (const v of raw || WEEKDAYS) {
+    const name = safeText(v).trim().toLowerCase().slice(0, 3);
+    const idx = WEEKDAYS.indexOf(name);
+    if (idx >= 0) weekdays.add(idx);
+    else if (/^\d$/.test(name)) weekdays.add(Number(name) % 7);
+  }
+  const excluded = (Array.isArray(config?.excluded_dates) ? config.excluded_dates : [])
+    .map((d) => parseDayKey(d))
+    .filter(Boolean)
+    .map(dayKey);
+  return {
+    // An empty week would never finish; treat it as unconfigured.
+    weekdays: weekdays.size ? weekdays : new Set(WEEKDAYS.map((_, i) => i)),
+    excluded: new Set(excluded),
+    calendar: safeText(config?.holiday_calendar).trim(),
+    entity: safeText(config?.workday_entity).trim(),
+  };
+}
+
+function workdaysToConfig(w) {
+  const out = {};
+  if (w.weekdays.size < 7) out.working_days = WEEKDAYS.filter((_, i) => w.weekdays.has(i));
+  if (w.excluded.size) out.excluded_dates = [...w.excluded].sort();
+  if (w.calendar) out.holiday_calendar = w.calendar;
+  if (w.entity) out.workday_entity = w.entity;
+  return out;
+}
+
+function makeWorkDayTest(rules, holidays) {
+  return (d) => {
+    if (!d) return false;
+    if (!rules.weekdays.has(d.getDay())) return false;
+    const key = dayKey(d);
+    return !rules.excluded.has(key) && !(holidays && holidays.has(key));
+  };
+}
+
+// The date `n` working days after `start`; `start` itself is never counted.
+function addWorkingDays(start, n, isWorkDay) {
+  let d = start;
+  let left = Math.max(0, n);
+  // Guard against rule sets that exclude (almost) every day.
+  for (let guard = 0; left > 0 && guard < 3660; guard++) {
+    d = addDays(d, 1);
+    if (isWorkDay(d)) left -= 1;
+  }
+  return d;
+}
+
+// Working days left to hit a deadline, counting today and the due date itself.
+function workingDaysUntil(today, due, isWorkDay) {
+  if (!due || due < today) return 0;
+  let n = 0;
+  for (let d = today; d <= due; d = addDays(d, 1)) {
+    if (isWorkDay(d)) n += 1;
+  }
+  return n;
+}
+
+// "ahead" leaves at least 10% slack over the required pace.
+function deadlineStatus(missing, pace, required) {
+  if (missing <= 0) return "done";
+  if (required == null || !(pace > 0)) return "behind";
+  if (pace >= required * 1.1) return "ahead";
+  if (pace >= required) return "on_track";
+  return "behind";
+}
+
+function daysBetween(a, b) {
+  return Math.round((b.getTime() - a.getTime()) / 86400000);
+}
+
+// A Workday binary sensor (`binary_sensor.workday`) brings its own working week.
+function isWorkdayEntity(stateObj) {
+  return Array.isArray(stateObj?.attributes?.workdays);
+}
+
+function workdayEntityRules(rules, stateObj) {
+  if (!isWorkdayEntity(stateObj)) return rules;
+  const weekdays = new Set(
+    stateObj.attributes.workdays.map((v) => WEEKDAYS.indexOf(safeText(v).trim().toLowerCase().slice(0, 3))).filter((i) => i >= 0)
+  );
+  return weekdays.size ? { ...rules, weekdays } : rules;
+}
+
+// Working days in the lookahead that the sensor's `check_date` service says are off. Home
+// Assistant versions without the service only tell about today, through the state.
+async function workdayEntityHolidays(hass, entityId, today) {
+  const stateObj = hass.states?.[entityId];
+  const rules = workdayEntityRules({ weekdays: new Set(WEEKDAYS.map((_, i) => i)) }, stateObj);
+  const days = [];
+  for (let i = 0; i < WORKDAY_LOOKAHEAD_DAYS; i++) {
+    const d = addDays(today, i);
+    if (rules.weekdays.has(d.getDay())) days.push(dayKey(d));
+  }
+  try {
+    const results = await Promise.all(
+      days.map((day) =>
+        callWS(hass, {
+          type: "call_service",
+          domain: "workday",
+          service: "check_date",
+          service_data: { check_date: day },
+          target: { entity_id: entityId },
+          return_response: true,
+        })
+      )
+    );
+    return new Set(days.filter((day, i) => results[i]?.response?.[entityId]?.workday === false));
+  } catch (e) {
+    return new Set(stateObj?.state === "off" ? [dayKey(today)] : []);
+  }
+}
+
+// All-day calendar events, as day keys. End dates from HA are exclusive.
+function holidayDaysFromEvents(events) {
+  const out = new Set();
+  for (const ev of Array.isArray(events) ? events : []) {
+    const start = parseDayKey(ev?.start?.date ?? ev?.start);
+    const end = parseDayKey(ev?.end?.date ?? ev?.end);
+    if (!start) continue;
+    const last = end && end > start ? addDays(end, -1) : start;
+    for (let d = start; d <= last; d = addDays(d, 1)) out.add(dayKey(d));
+  }
+  return out;
+}
+
 function makeUniqueId(baseId, usedIds) {
   const base = safeText(baseId).trim() || "item";
   if (!usedIds || typeof usedIds.has !== "function") return base;
@@ -66,138 +970,1657 @@ function stripOuterQuotes(s) {
   return v;
 }
 
-function parseFirstColumnFromDelimitedText(text) {
-  const raw = safeText(text);
-  const lines = raw.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
-  if (!lines.length) return [];
+// Tab wins if present; otherwise whichever of ; and , occurs more often outside quotes.
+function detectDelimiter(text) {
+  const sample = safeText(text).slice(0, 4000);
+  const counts = { "\t": 0, ";": 0, ",": 0 };
+  let quoted = false;
+  for (const ch of sample) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && ch in counts) counts[ch] += 1;
+  }
+  if (counts["\t"]) return "\t";
+  return counts[";"] > counts[","] ? ";" : ",";
+}
+
+// RFC 4180 style: quoted fields may hold the delimiter, newlines and "" escapes.
+// Cells are trimmed and blank rows dropped.
+function parseDelimitedRows(text, delim = detectDelimiter(text)) {
+  const src = safeText(text).replace(/^\ufeff/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const endCell = () => {
+    row.push(cell.trim());
+    cell = "";
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some(Boolean)) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch !== '"') cell += ch;
+      else if (src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else quoted = false;
+    } else if (ch === '"' && !cell.trim()) {
+      quoted = true;
+      cell = "";
+    } else if (ch === delim) endCell();
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      endRow();
+    } else cell += ch;
+  }
+  if (cell || row.length) endRow();
+  return rows;
+}
+
+// `header` is the index of the header row (-1 = none); columns are -1 when unmapped.
+function guessImportMapping(rows) {
+  const first = (rows?.[0] || []).map((c) => safeText(c).trim().toLowerCase());
+  const mapping = { header: -1, label: 0, id: -1, group: -1, quantity: -1, type: -1 };
+  const found = {};
+  for (const field of IMPORT_FIELDS) found[field] = first.findIndex((c) => IMPORT_HEADER_WORDS[field].includes(c));
+  if (!IMPORT_FIELDS.some((field) => found[field] >= 0)) return mapping;
+
+  mapping.header = 0;
+  for (const field of IMPORT_FIELDS) mapping[field] = found[field];
+  mapping.type = first.findIndex((c) => IMPORT_HEADER_WORDS.type.includes(c));
+  if (mapping.label < 0) {
+    const taken = new Set([...IMPORT_FIELDS.map((field) => mapping[field]), mapping.type]);
+    mapping.label = first.findIndex((_, idx) => !taken.has(idx));
+  }
+  return mapping;
+}
+
+// One entry per data row with a label: "add", "update" or "duplicate" (already there
+// unchanged, or repeated in the file). Rows match on id when the id column has a value,
+// otherwise on the label (case-insensitive).
+function planChecklistImport(curItems, rows, mapping) {
+  const plan = [];
+  if (!mapping || mapping.label < 0) return plan;
+  const cell = (row, col) => (col >= 0 ? safeText(row?.[col]).trim() : "");
+  const byId = new Map(curItems.map((it) => [it.id, it]));
+  const byLabel = new Map(curItems.map((it) => [it.label.toLowerCase(), it]));
+  const used = new Set(byId.keys());
+  const seen = new Set();
+  const checklistTypes = Object.values(TRANSLATIONS).map((t) => t["export.checklist"].toLowerCase());
+
+  (rows || []).forEach((row, idx) => {
+    if (idx <= mapping.header) return;
+    const type = cell(row, mapping.type ?? -1).toLowerCase();
+    if (type && !checklistTypes.includes(type)) return;
+    const label = cell(row, mapping.label);
+    if (!label) return;
+    const rawId = cell(row, mapping.id);
+    const key = rawId ? `id:${rawId}` : `label:${label.toLowerCase()}`;
+    const match = rawId ? byId.get(rawId) : byLabel.get(label.toLowerCase());
+    const dupKey = match ? `id:${match.id}` : key;
+    if (seen.has(dupKey)) {
+      plan.push({ row: idx, status: "duplicate", item: match || { id: rawId, label } });
+      return;
+    }
+    seen.add(dupKey);
+
+    const next = match ? { ...match, label } : { id: "", label, quantity: null, group: "" };
+    if (mapping.group >= 0) next.group = cell(row, mapping.group);
+    if (mapping.quantity >= 0) {
+      const qty = cell(row, mapping.quantity);
+      next.quantity = qty === "" ? null : Math.max(0, clampInt(qty));
+    }
+
+    if (match) {
+      const changed = next.label !== match.label || next.group !== match.group || next.quantity !== match.quantity;
+      plan.push({ row: idx, status: changed ? "update" : "duplicate", item: next });
+      return;
+    }
+    next.id = rawId && !used.has(rawId) ? rawId : makeUniqueId(slugify(rawId || label), used);
+    used.add(next.id);
+    plan.push({ row: idx, status: "add", item: next });
+  });
+  return plan;
+}
+
+function applyChecklistImport(curItems, plan) {
+  const updates = new Map(plan.filter((p) => p.status === "update").map((p) => [p.item.id, p.item]));
+  const added = plan.filter((p) => p.status === "add").map((p) => p.item);
+  return [...curItems.map((it) => updates.get(it.id) || it), ...added];
+}
+
+function csvEscape(v) {
+  const s = safeText(v);
+  return /[",;\t\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows) {
+  return rows.map((r) => r.map(csvEscape).join(",")).join("\r\n");
+}
+
+// The checklist sheet keeps the label in the first column under a header the importer
+// skips, so an export can be fed straight back into the checklist import.
+function buildExportSheets(goals, checklist, counts, checks, lang) {
+  const t = (key) => localize(lang, key);
+  return [
+    {
+      name: t("export.checklist"),
+      rows: [
+        [t("export.checklist"), t("export.id"), t("export.checked")],
+        ...checklist.map((it) => [it.label, it.id, checks[it.id] ? 1 : 0]),
+      ],
+    },
+    {
+      name: t("export.goals"),
+      rows: [
+        [t("export.name"), t("export.id"), t("export.count"), t("export.target")],
+        ...goals.map((g) => [g.name, g.id, clampInt(counts[g.id]), clampInt(g.target)]),
+      ],
+    },
+  ];
+}
+
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.style.display = "none";
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Without a workbook everything goes in one CSV (browsers tend to block a second download
+// from one click). The type column keeps goal rows out of the checklist import.
+function buildExportCsv(goals, checklist, counts, checks, lang) {
+  const t = (key) => localize(lang, key);
+  return [
+    [t("export.type"), t("export.name"), t("export.id"), t("export.group"), t("export.quantity"), t("export.checked"), t("export.count"), t("export.target")],
+    ...checklist.map((it) => [t("export.checklist"), it.label, it.id, it.group, it.quantity ?? "", checks[it.id] ? 1 : 0, "", ""]),
+    ...goals.map((g) => [t("export.goal"), g.name, g.id, "", "", "", clampInt(counts[g.id]), clampInt(g.target)]),
+  ];
+}
+
+// One workbook when SheetJS is loaded (same detection as the import), otherwise one CSV.
+function exportSheets(baseName, sheets, csvRows) {
+  const XLSX = window.XLSX;
+  if (XLSX?.utils?.book_new && XLSX.utils.aoa_to_sheet && XLSX.writeFile) {
+    const wb = XLSX.utils.book_new();
+    for (const sh of sheets) XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(sh.rows), sh.name.slice(0, 31));
+    XLSX.writeFile(wb, `${baseName}.xlsx`);
+    return;
+  }
+  // BOM so Excel opens UTF-8 (æøå) correctly.
+  const blob = new Blob(["\ufeff", toCsv(csvRows)], { type: "text/csv;charset=utf-8" });
+  downloadBlob(`${baseName}.csv`, blob);
+}
+
+function exportBaseName(title) {
+  return `${slugify(title || "goal counter")}-${dayKey(new Date())}`;
+}
+
+async function callWS(hass, msg) {
+  if (!hass) throw new Error("No hass");
+  if (typeof hass.callWS === "function") return await hass.callWS(msg);
+  const conn = hass.connection;
+  if (conn && typeof conn.sendMessagePromise === "function") return await conn.sendMessagePromise(msg);
+  throw new Error("No websocket connection");
+}
+
+function errorText(e) {
+  return safeText(e?.message || e);
+}
+
+function isUnknownCommand(e) {
+  return safeText(e?.code) === "unknown_command";
+}
+
+// Who made a change and when. Sent with every `set`; backends that keep it hand it back
+// as `meta` ({key: {user_id, user_name, changed_at}}) from `get_many` and subscriptions.
+function changeMeta(hass) {
+  return {
+    user_id: safeText(hass?.user?.id),
+    user_name: safeText(hass?.user?.name),
+    changed_at: new Date().toISOString(),
+  };
+}
+
+// Backends from before `changeMeta` validate `set` strictly and reject the extra fields.
+function isExtraKeysError(e) {
+  return safeText(e?.code) === "invalid_format" && /extra keys/i.test(errorText(e));
+}
+
+// Read many keys in one round-trip via `get_many`. Falls back to one `get` per key
+// when the backend doesn't know the command. Never throws for a single bad key;
+// failures are returned per key in `errors`.
+async function getManyValues(hass, keys, opts = {}) {
+  const values = {};
+  const errors = {};
+  const meta = {};
+  const list = [...new Set((keys || []).map((k) => safeText(k).trim()).filter(Boolean))];
+  if (!list.length) return { values, errors, meta, batched: opts.batched !== false };
+
+  if (opts.batched !== false) {
+    try {
+      const res = await callWS(hass, { type: `${DOMAIN}/get_many`, keys: list });
+      const resValues = res?.values || {};
+      const resErrors = res?.errors || {};
+      for (const k of list) {
+        if (resErrors[k] != null) errors[k] = errorText(resErrors[k]);
+        else values[k] = clampInt(resValues[k]);
+        if (res?.meta?.[k]) meta[k] = res.meta[k];
+      }
+      return { values, errors, meta, batched: true };
+    } catch (e) {
+      if (!isUnknownCommand(e)) {
+        for (const k of list) errors[k] = errorText(e);
+        return { values, errors, meta, batched: true };
+      }
+    }
+  }
+
+  const results = await Promise.allSettled(list.map((k) => callWS(hass, { type: `${DOMAIN}/get`, key: k })));
+  results.forEach((r, i) => {
+    if (r.status === "fulfilled") {
+      values[list[i]] = clampInt(r.value?.value);
+      if (r.value?.meta) meta[list[i]] = r.value.meta;
+    } else errors[list[i]] = errorText(r.reason);
+  });
+  return { values, errors, meta, batched: false };
+}
+
+function describeKeyErrors(errors, lang) {
+  const keys = Object.keys(errors || {});
+  if (!keys.length) return null;
+  const shown = keys.slice(0, 3).map((k) => `${k} (${errors[k]})`);
+  const more = keys.length > shown.length ? ` +${keys.length - shown.length}` : "";
+  return localize(lang, "card.load_errors", { count: keys.length, keys: `${shown.join(", ")}${more}` });
+}
+
+// Explicit `storage` wins. Otherwise the integration is used, except in a preview (card
+// picker, editor) on an install without it, where the card runs on demo data instead.
+function resolveStorageKind(config, hass, preview) {
+  const kind = safeText(config?.storage).trim().toLowerCase();
+  if (STORAGE_KINDS.includes(kind)) return kind;
+  const components = hass?.config?.components;
+  if (preview && Array.isArray(components) && !components.includes(DOMAIN)) return "demo";
+  return "ws";
+}
+
+// What every backend key of the card starts with: `<namespace>/`, plus `user.<id>/` when
+// `per_user` gives each user their own counters. Empty for cards sharing the plain keys.
+function storagePrefix(config, hass) {
+  const parts = [];
+  const ns = safeText(config?.namespace).trim();
+  if (ns) parts.push(slugify(ns));
+  if (config?.per_user === true) parts.push(`user.${safeText(hass?.user?.id) || "anonymous"}`);
+  return parts.map((p) => `${p}${NAMESPACE_SEPARATOR}`).join("");
+}
+
+// Storage adapters all work in counter keys and deltas:
+//   getMany(keys)         -> { values, errors, meta }
+//   set(key, delta, meta) -> { value, meta }
+//   setMany(items, meta)  -> { values, errors, meta }
+//   subscribe(keys, cb)   -> unsubscribe function, or null without live updates
+//   activity(keys, limit) -> entries, or null when the store keeps no log
+// `remote` stores can be offline, so the card keeps a durable queue of unsent deltas for them.
+function createStorage(kind, getHass) {
+  if (kind === "local") return (sharedStores.local = sharedStores.local || createLocalStore());
+  if (kind === "demo") return (sharedStores.demo = sharedStores.demo || createDemoStore());
+  return createWsStore(getHass);
+}
+
+// Cards on the same page share the local and demo stores so they stay in sync.
+const sharedStores = {};
+
+// Wraps a store so the card keeps using plain keys while the backend sees them prefixed.
+// Anything outside the prefix (other cards' keys in a shared event) is dropped on the way back.
+function namespacedStore(store, prefix) {
+  if (!prefix) return store;
+  const wrap = (key) => `${prefix}${key}`;
+  const unwrap = (obj) => {
+    const out = {};
+    for (const [key, value] of Object.entries(obj || {})) {
+      if (key.startsWith(prefix)) out[key.slice(prefix.length)] = value;
+    }
+    return out;
+  };
+  const unwrapResult = (res) => ({ ...res, values: unwrap(res?.values), errors: unwrap(res?.errors), meta: unwrap(res?.meta) });
+
+  return {
+    kind: store.kind,
+    remote: store.remote,
+
+    async getMany(keys) {
+      return unwrapResult(await store.getMany(keys.map(wrap)));
+    },
+
+    set(key, delta, meta) {
+      return store.set(wrap(key), delta, meta);
+    },
+
+    async setMany(items, meta) {
+      return unwrapResult(await store.setMany(items.map((it) => ({ ...it, key: wrap(it.key) })), meta));
+    },
+
+    subscribe(keys, cb) {
+      return store.subscribe(keys.map(wrap), (ev) => {
+        const values = unwrap(ev?.values);
+        if (ev?.key != null && safeText(ev.key).startsWith(prefix)) values[safeText(ev.key).slice(prefix.length)] = ev.value;
+        cb({ values, meta: unwrap(ev?.meta) });
+      });
+    },
+
+    async activity(keys, limit) {
+      const entries = await store.activity(keys.map(wrap), limit);
+      if (!entries) return entries;
+      return entries
+        .filter((a) => safeText(a.key).startsWith(prefix))
+        .map((a) => ({ ...a, key: safeText(a.key).slice(prefix.length) }));
+    },
+  };
+}
+
+// Every plain key a config reads or writes: current and previous period counters, milestone
+// claims and the daily history the pace and chart look back on.
+function configStorageKeys(config) {
+  const goals = normalizeGoals(config?.goals);
+  const checklist = normalizeChecklist(config?.checklist);
+  const checklistReset = normalizeReset(config?.checklist_reset);
+  const days = chartDays(Math.max(normalizeChart(config).days, normalizePace(config).window + 1));
+  const keys = [];
+  for (const g of goals) {
+    for (const d of days) keys.push(historyKey(g.id, d));
+    // Entity goals keep their count in HA, but their milestone claims live here.
+    for (const percent of g.milestones || []) keys.push(periodKey(milestoneKey(g.id, percent), g.reset));
+    if (!g.entity) keys.push(periodKey(g.id, g.reset), previousPeriod(g.id, g.reset)?.key);
+  }
+  const suffix = periodKey("", checklistReset);
+  const prevSuffix = previousPeriod("", checklistReset)?.key;
+  for (const it of checklist) {
+    keys.push(`${checklistKey(it.id)}${suffix}`, prevSuffix && `${checklistKey(it.id)}${prevSuffix}`);
+  }
+  keys.push(periodKey(`${MILESTONE_PREFIX}${CHECKLIST_PREFIX}complete`, checklistReset));
+  return [...new Set(keys.filter(Boolean))];
+}
+
+// The websocket store learns what an older backend lacks on first use and stops asking.
+function createWsStore(getHass) {
+  const state = { batched: true, noMeta: false, noSetMany: false, noSubscribe: false, noActivity: false };
+
+  const send = async (msg, meta) => {
+    if (state.noMeta) return await callWS(getHass(), msg);
+    try {
+      return await callWS(getHass(), { ...msg, ...meta });
+    } catch (e) {
+      if (!isExtraKeysError(e)) throw e;
+      state.noMeta = true;
+      return await callWS(getHass(), msg);
+    }
+  };
+
+  const set = async (key, delta, meta) => {
+    const res = await send({ type: `${DOMAIN}/set`, key, delta }, meta);
+    return { value: clampInt(res?.value), meta: res?.meta };
+  };
+
+  return {
+    kind: "ws",
+    remote: true,
+
+    async getMany(keys) {
+      const res = await getManyValues(getHass(), keys, { batched: state.batched });
+      state.batched = res.batched;
+      return res;
+    },
+
+    set,
+
+    async setMany(items, meta) {
+      if (!state.noSetMany) {
+        try {
+          const res = await send({ type: `${DOMAIN}/set_many`, items }, meta);
+          const values = {};
+          const errors = {};
+          for (const { key } of items) {
+            if (res?.errors?.[key] != null) errors[key] = errorText(res.errors[key]);
+            else values[key] = clampInt(res?.values?.[key]);
+          }
+          return { values, errors, meta: res?.meta || {} };
+        } catch (e) {
+          if (!isUnknownCommand(e)) throw e;
+          state.noSetMany = true;
+        }
+      }
+      const values = {};
+      const errors = {};
+      const metaOut = {};
+      const results = await Promise.allSettled(items.map(({ key, delta }) => set(key, delta, meta)));
+      results.forEach((r, i) => {
+        const key = items[i].key;
+        if (r.status === "fulfilled") {
+          values[key] = r.value.value;
+          if (r.value.meta) metaOut[key] = r.value.meta;
+        } else errors[key] = errorText(r.reason);
+      });
+      return { values, errors, meta: metaOut };
+    },
+
+    async subscribe(keys, cb) {
+      const conn = getHass()?.connection;
+      if (state.noSubscribe || !conn || typeof conn.subscribeMessage !== "function") return null;
+      try {
+        return await conn.subscribeMessage(cb, { type: `${DOMAIN}/subscribe`, keys });
+      } catch (e) {
+        // Older backends have no subscribe; the card still works, just without live sync.
+        if (!isUnknownCommand(e)) throw e;
+        state.noSubscribe = true;
+        return null;
+      }
+    },
+
+    async activity(keys, limit) {
+      if (state.noActivity) return null;
+      try {
+        const res = await callWS(getHass(), { type: `${DOMAIN}/activity`, keys, limit });
+        return Array.isArray(res?.entries) ? res.entries : [];
+      } catch (e) {
+        if (!isUnknownCommand(e)) throw e;
+        state.noActivity = true;
+        return null;
+      }
+    },
+  };
+}
+
+// The local and demo stores keep one `{ values, meta, log }` record and only differ in
+// where it lives. Writes are applied synchronously and pushed to every subscriber.
+function createRecordStore(kind, read, write) {
+  const listeners = new Set();
+  const emit = (ev) => {
+    for (const cb of listeners) cb(ev);
+  };
+
+  const apply = (items, meta) => {
+    const record = read();
+    const values = {};
+    const metaOut = {};
+    for (const { key, delta } of items) {
+      record.values[key] = clampInt(record.values[key]) + clampInt(delta);
+      values[key] = record.values[key];
+      if (meta) {
+        record.meta[key] = meta;
+        metaOut[key] = meta;
+        record.log.unshift({ key, delta, ...meta });
+      }
+    }
+    record.log = record.log.slice(0, LOCAL_STORE_LOG_LIMIT);
+    write(record);
+    emit({ values, meta: metaOut });
+    return { values, errors: {}, meta: metaOut };
+  };
+
+  return {
+    kind,
+    remote: false,
+    emit,
+
+    async getMany(keys) {
+      const record = read();
+      const values = {};
+      const meta = {};
+      for (const key of keys) {
+        values[key] = clampInt(record.values[key]);
+        if (record.meta[key]) meta[key] = record.meta[key];
+      }
+      return { values, errors: {}, meta };
+    },
+
+    async set(key, delta, meta) {
+      const res = apply([{ key, delta }], meta);
+      return { value: res.values[key], meta: res.meta[key] };
+    },
+
+    async setMany(items, meta) {
+      return apply(items, meta);
+    },
+
+    async subscribe(keys, cb) {
+      listeners.add(cb);
+      return () => listeners.delete(cb);
+    },
+
+    async activity(keys, limit) {
+      const wanted = new Set(keys);
+      return read()
+        .log.filter((a) => wanted.has(a.key))
+        .slice(0, limit);
+    },
+  };
+}
+
+function createLocalStore() {
+  const storageKey = `${STORAGE_PREFIX}:data`;
+  const read = () => {
+    const stored = readStoredJson(storageKey);
+    return {
+      values: stored?.values && typeof stored.values === "object" ? stored.values : {},
+      meta: stored?.meta && typeof stored.meta === "object" ? stored.meta : {},
+      log: Array.isArray(stored?.log) ? stored.log : [],
+    };
+  };
+  const write = (record) => {
+    const oldest = dayKey(addDays(startOfToday(), -LOCAL_HISTORY_DAYS));
+    for (const key of Object.keys(record.values)) {
+      const at = key.indexOf(HISTORY_PREFIX);
+      const hist = at >= 0 ? parseHistoryKey(key.slice(at)) : null;
+      if (hist && hist.day < oldest) {
+        delete record.values[key];
+        delete record.meta[key];
+      }
+    }
+    // Not writeStoredJson: a full or missing localStorage has to fail the write, not lose it.
+    window.localStorage.setItem(storageKey, JSON.stringify(record));
+  };
+  const store = createRecordStore("local", read, write);
+  // Other tabs write the same record; pass their values on like a subscription would.
+  window.addEventListener("storage", (e) => {
+    if (e.key === storageKey) store.emit({ values: read().values });
+  });
+  return store;
+}
+
+function createDemoStore() {
+  let record = { values: {}, meta: {}, log: [] };
+  return createRecordStore(
+    "demo",
+    () => record,
+    (next) => {
+      record = next;
+    }
+  );
+}
+
+function defaultStepLabel(delta) {
+  if (delta === -1) return "-";
+  if (delta === 1) return "+";
+  return delta > 0 ? `+${delta}` : `${delta}`;
+}
+
+// Steps accept numbers (`9`), numeric strings (`"+9"`) or objects (`{ delta: 9, label: "Kasse" }`).
+// Returns null when nothing usable is configured so callers can fall back to a default.
+function normalizeSteps(rawSteps) {
+  if (!Array.isArray(rawSteps)) return null;
+  const out = [];
+  const seen = new Set();
+  for (const st of rawSteps) {
+    const isObj = st && typeof st === "object";
+    const delta = clampInt(isObj ? st.delta ?? st.step ?? st.value : st);
+    if (delta === 0 || seen.has(delta)) continue;
+    seen.add(delta);
+    const label = isObj ? safeText(st.label).trim() : "";
+    out.push({ delta, label: label || defaultStepLabel(delta) });
+  }
+  return out.length ? out : null;
+}
+
+function serializeSteps(steps) {
+  if (!Array.isArray(steps) || !steps.length) return undefined;
+  return steps.map((st) => (st.label === defaultStepLabel(st.delta) ? st.delta : { delta: st.delta, label: st.label }));
+}
+
+// Editor text form: "-1, +1, +9, 18=Palle"
+function parseStepsText(text) {
+  const parts = safeText(text)
+    .split(/[,;]/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+  return normalizeSteps(
+    parts.map((p) => {
+      const eq = p.indexOf("=");
+      if (eq < 0) return p;
+      return { delta: p.slice(0, eq).trim(), label: p.slice(eq + 1).trim() };
+    })
+  );
+}
+
+function formatStepsText(steps) {
+  if (!Array.isArray(steps)) return "";
+  return steps
+    .map((st) => {
+      const num = st.delta > 0 ? `+${st.delta}` : `${st.delta}`;
+      return st.label === defaultStepLabel(st.delta) ? num : `${num}=${st.label}`;
+    })
+    .join(", ");
+}
+
+function goalToConfig(g) {
+  const out = { id: g.id, name: g.name, target: g.target, avg_per_day: g.avg_per_day };
+  const steps = serializeSteps(g.steps);
+  if (steps) out.steps = steps;
+  if (g.due_date) out.due_date = g.due_date;
+  if (g.entity) out.entity = g.entity;
+  if (g.milestones) out.milestones = g.milestones;
+  if (g.reset) out.reset = g.reset;
+  return out;
+}
+
+function entityDomain(entityId) {
+  const id = safeText(entityId).trim();
+  const dot = id.indexOf(".");
+  return dot > 0 ? id.slice(0, dot) : "";
+}
+
+function isWritableEntity(entityId) {
+  return WRITABLE_ENTITY_DOMAINS.includes(entityDomain(entityId));
+}
+
+// HA users that can be assigned, taken from person entities linked to a user
+// (the full user list needs an admin-only API). The current user is always included.
+function assignableUsers(hass) {
+  const users = new Map();
+  for (const [entityId, st] of Object.entries(hass?.states || {})) {
+    const userId = safeText(st?.attributes?.user_id).trim();
+    if (!entityId.startsWith("person.") || !userId) continue;
+    users.set(userId, safeText(st.attributes.friendly_name).trim() || entityId);
+  }
+  const me = hass?.user;
+  if (me?.id && !users.has(me.id)) users.set(me.id, safeText(me.name).trim() || me.id);
+  return [...users].map(([id, name]) => ({ id, name }));
+}
+
+function userName(hass, userId) {
+  return assignableUsers(hass).find((u) => u.id === userId)?.name || userId;
+}
+
+// Numeric state of a bound entity, or null when it is missing/unavailable.
+function entityNumber(stateObj) {
+  const raw = stateObj?.state;
+  if (raw == null || raw === "" || raw === "unknown" || raw === "unavailable") return null;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Milestones are percentages of the target: `[50, 100]` or `["50%", "100%"]`.
+function normalizeMilestones(raw) {
+  if (!Array.isArray(raw)) return null;
+  const out = [...new Set(raw.map((v) => clampInt(safeText(v).replace("%", ""))).filter((v) => v > 0))];
+  out.sort((a, b) => a - b);
+  return out.length ? out : null;
+}
+
+function parseMilestonesText(text) {
+  return normalizeMilestones(safeText(text).split(/[,;\s]+/).filter(Boolean));
+}
+
+function milestoneKey(goalId, percent) {
+  return `${MILESTONE_PREFIX}${safeText(goalId).trim()}:${percent}`;
+}
+
+// Five cron fields (minute hour day month weekday), each `*`, `n`, `a-b`, lists and `/step`.
+// Like cron, a day matches on either day-of-month or weekday when both are restricted.
+function parseCron(spec) {
+  const fields = safeText(spec).trim().split(/\s+/);
+  if (fields.length !== 5) return null;
+  const bounds = [
+    [0, 59],
+    [0, 23],
+    [1, 31],
+    [1, 12],
+    [0, 7],
+  ];
+  const sets = [];
+  for (let i = 0; i < 5; i++) {
+    const [min, max] = bounds[i];
+    const set = new Set();
+    for (const part of fields[i].split(",")) {
+      const m = /^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+      if (!m) return null;
+      const lo = m[1] ? min : Number(m[2]);
+      const hi = m[1] ? max : m[3] != null ? Number(m[3]) : m[4] ? max : lo;
+      const step = m[4] ? Number(m[4]) : 1;
+      if (lo < min || hi > max || lo > hi || step < 1) return null;
+      // 7 is Sunday too.
+      for (let v = lo; v <= hi; v += step) set.add(i === 4 && v === 7 ? 0 : v);
+    }
+    sets.push(set);
+  }
+  const [minutes, hours, days, months, weekdays] = sets;
+  return { minutes, hours, days, months, weekdays, anyDay: fields[2] === "*", anyWeekday: fields[4] === "*" };
+}
+
+function cronMatchesDay(cron, d) {
+  if (!cron.months.has(d.getMonth() + 1)) return false;
+  const dom = cron.days.has(d.getDate());
+  const dow = cron.weekdays.has(d.getDay());
+  if (cron.anyDay) return dow;
+  if (cron.anyWeekday) return dom;
+  return dom || dow;
+}
+
+// Latest run of the schedule at or before `at`.
+function lastCronRun(cron, at) {
+  const day = new Date(at.getFullYear(), at.getMonth(), at.getDate());
+  const hours = [...cron.hours].sort((a, b) => b - a);
+  const minutes = [...cron.minutes].sort((a, b) => b - a);
+  for (let i = 0; i <= CRON_LOOKBACK_DAYS; i++) {
+    const d = addDays(day, -i);
+    if (!cronMatchesDay(cron, d)) continue;
+    for (const h of hours) {
+      for (const m of minutes) {
+        const run = new Date(d.getFullYear(), d.getMonth(), d.getDate(), h, m);
+        if (run <= at) return run;
+      }
+    }
+  }
+  return null;
+}
+
+// A reset period is "daily", "weekly" (ISO weeks, from Monday), "monthly" or a cron schedule.
+function normalizeReset(raw) {
+  const spec = safeText(raw).trim();
+  if (!spec) return null;
+  if (RESET_PERIODS.includes(spec.toLowerCase())) return spec.toLowerCase();
+  return parseCron(spec) ? spec.split(/\s+/).join(" ") : null;
+}
+
+function periodStart(spec, at) {
+  if (spec === "daily") return new Date(at.getFullYear(), at.getMonth(), at.getDate());
+  if (spec === "weekly") return new Date(at.getFullYear(), at.getMonth(), at.getDate() - ((at.getDay() + 6) % 7));
+  if (spec === "monthly") return new Date(at.getFullYear(), at.getMonth(), 1);
+  const cron = parseCron(spec);
+  return cron ? lastCronRun(cron, at) : null;
+}
+
+function previousPeriodStart(spec, start) {
+  if (spec === "daily") return addDays(start, -1);
+  if (spec === "weekly") return addDays(start, -7);
+  if (spec === "monthly") return new Date(start.getFullYear(), start.getMonth() - 1, 1);
+  return periodStart(spec, new Date(start.getTime() - 60000));
+}
+
+function isoWeek(d) {
+  // The Thursday of d's week decides the ISO year.
+  const thu = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 3 - ((d.getDay() + 6) % 7));
+  const jan4 = new Date(thu.getFullYear(), 0, 4);
+  const week = 1 + Math.round((daysBetween(jan4, thu) - 3 + ((jan4.getDay() + 6) % 7)) / 7);
+  return { year: thu.getFullYear(), week };
+}
+
+function periodLabel(spec, start) {
+  if (spec === "daily") return dayKey(start);
+  if (spec === "weekly") {
+    const { year, week } = isoWeek(start);
+    return `${year}-W${_pad2(week)}`;
+  }
+  if (spec === "monthly") return `${start.getFullYear()}-${_pad2(start.getMonth() + 1)}`;
+  return `${dayKey(start)}T${_pad2(start.getHours())}${_pad2(start.getMinutes())}`;
+}
+
+// Resetting never rewrites a counter: each period gets its own key, so the value left
+// under the previous period's key is the archived result. It also means a reset needs
+// no card to be open when it happens, and a delta queued offline still lands in the
+// period it was tapped in.
+function periodKey(base, spec, at = new Date()) {
+  const start = spec ? periodStart(spec, at) : null;
+  return start ? `${base}${PERIOD_SEPARATOR}${periodLabel(spec, start)}` : base;
+}
+
+// The previous period's key and start, or null when the counter never resets.
+function previousPeriod(base, spec, at = new Date()) {
+  const cur = spec ? periodStart(spec, at) : null;
+  const start = cur ? previousPeriodStart(spec, cur) : null;
+  return start ? { key: `${base}${PERIOD_SEPARATOR}${periodLabel(spec, start)}`, start } : null;
+}
+
+function periodKeyBase(key) {
+  const k = safeText(key);
+  const idx = k.lastIndexOf(PERIOD_SEPARATOR);
+  return idx > 0 ? k.slice(0, idx) : k;
+}
+
+function milestoneThreshold(target, percent) {
+  return Math.ceil((clampInt(target) * percent) / 100);
+}
+
+// `service` ("script.celebrate") replaces the event; `service_data` is merged under the payload.
+function normalizeAutomation(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const service = safeText(src.service).trim();
+  return {
+    event: safeText(src.event).trim() || DEFAULT_TRIGGER_EVENT,
+    service: /^[a-z0-9_]+\.[a-z0-9_]+$/.test(service) ? service : "",
+    service_data: src.service_data && typeof src.service_data === "object" ? src.service_data : {},
+    checklist_complete: !!src.checklist_complete,
+  };
+}
+
+function automationToConfig(a) {
+  const out = {};
+  if (a.event && a.event !== DEFAULT_TRIGGER_EVENT) out.event = a.event;
+  if (a.service) out.service = a.service;
+  if (a.service_data && Object.keys(a.service_data).length) out.service_data = a.service_data;
+  if (a.checklist_complete) out.checklist_complete = true;
+  return Object.keys(out).length ? out : undefined;
+}
+
+function normalizeGoals(rawGoals) {
+  const src = Array.isArray(rawGoals) ? rawGoals : [];
+  const out = [];
+  for (const g of src) {
+    if (!g || typeof g !== "object") continue;
+    const name = safeText(g.name || g.title || g.id).trim();
+    const target = clampInt(g.target);
+    const avgPerDay = clampFloat(g.avg_per_day ?? g.avgPerDay ?? g.per_day ?? g.perDay);
+    if (!name) continue;
+    const id = safeText(g.id).trim() || slugify(name);
+    const steps = normalizeSteps(g.steps);
+    const due = parseDayKey(g.due_date ?? g.dueDate ?? g.due);
+    const entity = safeText(g.entity).trim() || null;
+    const milestones = normalizeMilestones(g.milestones);
+    // The bound entity is the source of truth, so it is never reset by the card.
+    const reset = entity ? null : normalizeReset(g.reset);
+    out.push({ id, name, target, avg_per_day: avgPerDay, steps, due_date: due ? dayKey(due) : null, entity, milestones, reset });
+  }
+  // stable unique by id
+  const seen = new Set();
+  const uniq = [];
+  for (const g of out) {
+    if (seen.has(g.id)) continue;
+    seen.add(g.id);
+    uniq.push(g);
+  }
+  return uniq;
+}
+
+function normalizeChecklist(rawItems) {
+  const src = Array.isArray(rawItems) ? rawItems : [];
+  const out = [];
+  for (const it of src) {
+    if (!it || typeof it !== "object") continue;
+    const label = safeText(it.label || it.name || it.title || it.id).trim();
+    if (!label) continue;
+    const id = safeText(it.id).trim() || slugify(label);
+    const quantity = it.quantity == null || it.quantity === "" ? null : Math.max(0, clampInt(it.quantity));
+    const group = safeText(it.group).trim();
+    const notes = safeText(it.notes).trim();
+    const due = parseDayKey(it.due_date ?? it.dueDate ?? it.due);
+    const assignee = safeText(it.assignee).trim();
+    out.push({ id, label, quantity, group, notes, due_date: due ? dayKey(due) : null, assignee });
+  }
+  // stable unique by id
+  const seen = new Set();
+  const uniq = [];
+  for (const it of out) {
+    if (seen.has(it.id)) continue;
+    seen.add(it.id);
+    uniq.push(it);
+  }
+  return uniq;
+}
+
+function checklistItemToConfig(it) {
+  const out = { id: it.id, label: it.label };
+  if (it.quantity != null) out.quantity = it.quantity;
+  if (it.group) out.group = it.group;
+  if (it.notes) out.notes = it.notes;
+  if (it.due_date) out.due_date = it.due_date;
+  if (it.assignee) out.assignee = it.assignee;
+  return out;
+}
+
+// Groups in order of first appearance; items without a group land in the "" group.
+function groupChecklist(checklist) {
+  const groups = new Map();
+  for (const it of checklist) {
+    const name = it.group || "";
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(it);
+  }
+  return [...groups].map(([name, items]) => ({ name, items }));
+}
+
+const searchTextCache = new WeakMap();
+
+function checklistSearchText(it) {
+  let text = searchTextCache.get(it);
+  if (text == null) {
+    text = foldText([it.label, it.group, it.notes].join(" "));
+    searchTextCache.set(it, text);
+  }
+  return text;
+}
+
+// Every word of the query has to appear somewhere in the item's label, group or notes.
+function checklistMatcher({ query, state, assignee }, checks) {
+  const words = foldText(query).split(/\s+/).filter(Boolean);
+  return (it) => {
+    if (state === "open" && checks[it.id]) return false;
+    if (state === "done" && !checks[it.id]) return false;
+    if (assignee != null && it.assignee !== assignee) return false;
+    const text = words.length ? checklistSearchText(it) : "";
+    return words.every((w) => text.includes(w));
+  };
+}
+
+// The slice of rows covering the viewport (plus overscan) and the space left above and below it.
+function visibleWindow(heights, scrollTop, viewport, overscan) {
+  let start = 0;
+  let before = 0;
+  while (start < heights.length && before + heights[start] <= scrollTop) before += heights[start++];
+  let end = start;
+  let bottom = before;
+  while (end < heights.length && bottom < scrollTop + viewport) bottom += heights[end++];
+  for (let i = 0; i < overscan && start > 0; i++) before -= heights[--start];
+  for (let i = 0; i < overscan && end < heights.length; i++) bottom += heights[end++];
+  const total = heights.reduce((acc, h) => acc + h, 0);
+  return { start, end, before, after: total - bottom };
+}
+
+// `delivery.goals` lists the goal ids a delivery draws from; missing means all goals.
+function normalizeDelivery(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const setSize = clampInt(src.set_size ?? src.setSize);
+  const goals = Array.isArray(src.goals) ? src.goals.map((id) => safeText(id).trim()).filter(Boolean) : null;
+  return { set_size: setSize > 0 ? setSize : DEFAULT_SET_SIZE, goals };
+}
+
+function deliveryToConfig(d) {
+  const out = {};
+  if (d.set_size !== DEFAULT_SET_SIZE) out.set_size = d.set_size;
+  if (d.goals) out.goals = d.goals;
+  return Object.keys(out).length ? out : undefined;
+}
+
+// Each checked item delivers its own `quantity`, or one full set when it has none.
+function computeDelivery(goals, checklist, counts, checks, delivery) {
+  const rule = delivery || normalizeDelivery();
+  const source = rule.goals ? goals.filter((g) => rule.goals.includes(g.id)) : goals;
+  const produced = source.reduce((acc, g) => acc + clampInt(counts[g.id]), 0);
+  let doneItems = 0;
+  let delivered = 0;
+  for (const it of checklist) {
+    if (!checks[it.id]) continue;
+    doneItems += 1;
+    delivered += it.quantity ?? rule.set_size;
+  }
+  const remaining = Math.max(0, produced - delivered);
+  return {
+    produced,
+    delivered,
+    remaining,
+    readySets: Math.floor(remaining / rule.set_size),
+    doneItems,
+    totalItems: checklist.length,
+  };
+}
+
+const CARD_KEYS = [
+  "type",
+  "version",
+  "title",
+  "language",
+  "storage",
+  "namespace",
+  "per_user",
+  "steps",
+  "goals",
+  "checklist",
+  "checklist_reset",
+  "delivery",
+  "automation",
+  "pace_window",
+  "eta_pace",
+  "chart",
+  "chart_days",
+  "activity_limit",
+  "working_days",
+  "excluded_dates",
+  "holiday_calendar",
+  "workday_entity",
+  // Set by Home Assistant's layout and visibility options, or by card-mod.
+  "view_layout",
+  "layout_options",
+  "grid_options",
+  "visibility",
+  "card_mod",
+];
+const GOAL_KEYS = ["id", "name", "target", "avg_per_day", "steps", "due_date", "entity", "milestones", "reset"];
+const CHECKLIST_ITEM_KEYS = ["id", "label", "quantity", "group", "notes", "due_date", "assignee"];
+const DELIVERY_KEYS = ["set_size", "goals"];
+const AUTOMATION_KEYS = ["event", "service", "service_data", "checklist_complete"];
+
+// Compared part by part as numbers; no version at all sorts before every release.
+function compareVersions(a, b) {
+  const pa = safeText(a).split(".").map(clampInt);
+  const pb = safeText(b).split(".").map(clampInt);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const d = (pa[i] || 0) - (pb[i] || 0);
+    if (d) return d < 0 ? -1 : 1;
+  }
+  return 0;
+}
+
+// Applied in order to configs saved by older versions of the card; a config without
+// `version` predates versioning and gets all of them.
+const CONFIG_MIGRATIONS = [
+  {
+    version: "0.2.0",
+    // Alternative field names become the documented ones, and ids derived from names are
+    // written out so renaming a goal or item no longer moves it to a fresh counter.
+    migrate(config) {
+      const pinId = (entry, name) => {
+        const id = safeText(entry.id).trim() || (name ? slugify(name) : "");
+        return id ? { ...entry, id } : entry;
+      };
+      const goal = (raw) => {
+        if (typeof raw === "string") raw = { name: raw };
+        if (!raw || typeof raw !== "object") return raw;
+        const { title, avgPerDay, per_day, perDay, dueDate, due, ...g } = raw;
+        if (!g.name && title) g.name = title;
+        if (g.avg_per_day == null && (avgPerDay ?? per_day ?? perDay) != null) g.avg_per_day = avgPerDay ?? per_day ?? perDay;
+        if (g.due_date == null && (dueDate ?? due) != null) g.due_date = dueDate ?? due;
+        return pinId(g, safeText(g.name).trim());
+      };
+      const item = (raw) => {
+        if (typeof raw === "string") raw = { label: raw };
+        if (!raw || typeof raw !== "object") return raw;
+        const { name, title, dueDate, due, ...it } = raw;
+        if (!it.label && (name || title)) it.label = name || title;
+        if (it.due_date == null && (dueDate ?? due) != null) it.due_date = dueDate ?? due;
+        return pinId(it, safeText(it.label).trim());
+      };
+      const out = { ...config };
+      if (Array.isArray(out.goals)) out.goals = out.goals.map(goal);
+      if (Array.isArray(out.checklist)) out.checklist = out.checklist.map(item);
+      if (out.delivery && typeof out.delivery === "object" && "setSize" in out.delivery) {
+        const { setSize, ...delivery } = out.delivery;
+        out.delivery = { set_size: setSize, ...delivery };
+      }
+      return out;
+    },
+  },
+];
+
+function migrateConfig(config) {
+  let out = { ...config };
+  for (const { version, migrate } of CONFIG_MIGRATIONS) {
+    if (compareVersions(out.version, version) < 0) out = { ...migrate(out), version };
+  }
+  if (compareVersions(out.version, CARD_VERSION) < 0) out.version = CARD_VERSION;
+  return out;
+}
+
+// Problems are `{ code, path, ...vars }`, described by the `config.<code>` translations.
+// The normalizers still skip what they can't use; this is what makes that visible.
+function validateConfig(config) {
+  const problems = [];
+  const add = (code, path, vars) => problems.push({ code, path, ...vars });
+  const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+  const checkKeys = (obj, known, path) => {
+    for (const key of Object.keys(obj)) if (!known.includes(key)) add("unknown_key", path ? `${path}.${key}` : key);
+  };
+  const checkNotNegative = (obj, keys, path) => {
+    for (const key of keys) if (Number(obj[key]) < 0) add("negative", path ? `${path}.${key}` : key);
+  };
+  const checkEntries = (key, known, labelKey, emptyCode, check) => {
+    if (config[key] == null) return;
+    if (!Array.isArray(config[key])) return add("not_list", key);
+    const ids = new Map();
+    config[key].forEach((entry, i) => {
+      const path = `${key}[${i}]`;
+      if (!isObject(entry)) return add("not_object", path);
+      checkKeys(entry, known, path);
+      const label = safeText(entry[labelKey]).trim();
+      const id = safeText(entry.id).trim() || (label ? slugify(label) : "");
+      if (!id) return add(emptyCode, path);
+      if (ids.has(id)) add("duplicate_id", path, { id, first: ids.get(id) });
+      else ids.set(id, path);
+      check(entry, path);
+    });
+  };
+
+  if (compareVersions(config.version, CARD_VERSION) > 0) add("newer_version", "version", { version: config.version });
+  checkKeys(config, CARD_KEYS, "");
+  checkNotNegative(config, ["pace_window", "chart_days", "activity_limit"], "");
+  if (config.storage != null && !STORAGE_KINDS.includes(safeText(config.storage).trim().toLowerCase())) add("invalid", "storage");
+  if (config.checklist_reset != null && !normalizeReset(config.checklist_reset)) add("invalid", "checklist_reset");
+
+  checkEntries("goals", GOAL_KEYS, "name", "empty_name", (g, path) => {
+    checkNotNegative(g, ["target", "avg_per_day"], path);
+    if (g.reset != null && !g.entity && !normalizeReset(g.reset)) add("invalid", `${path}.reset`);
+  });
+  checkEntries("checklist", CHECKLIST_ITEM_KEYS, "label", "empty_label", (it, path) => {
+    checkNotNegative(it, ["quantity"], path);
+  });
+
+  for (const [key, known] of [
+    ["delivery", DELIVERY_KEYS],
+    ["automation", AUTOMATION_KEYS],
+  ]) {
+    if (config[key] == null) continue;
+    if (!isObject(config[key])) add("not_object", key);
+    else checkKeys(config[key], known, key);
+  }
+  if (isObject(config.delivery)) checkNotNegative(config.delivery, ["set_size"], "delivery");
+  return problems;
+}
+
+function describeConfigProblems(problems, lang) {
+  return problems.map((p) => localize(lang, `config.${p.code}`, p));
+}
+
+class GoalCounterCard extends HTMLElement {
+  static getStubConfig() {
+    return {
+      type: "custom:goal-counter-card",
+      title: "Goals",
+      goals: [{ name: "Mit mål", target: 100, avg_per_day: 1 }],
+      checklist: [{ label: "Et punkt jeg kan krydse af" }],
+    };
+  }
+
+  static getConfigElement() {
+    return document.createElement("goal-counter-card-editor");
+  }
+
+  setConfig(config) {
+    if (!config || typeof config !== "object" || Array.isArray(config)) throw new Error("Invalid config");
+    this._config = migrateConfig(config);
+    this._configProblems = validateConfig(this._config);
+    this._goals = normalizeGoals(this._config.goals);
+    this._checklist = normalizeChecklist(this._config.checklist);
+    this._collapsed = null;
+    this._counts = this._counts || {};
+    this._checks = this._checks || {};
+    this._loadedKey = null;
+    if (this._root) this._render();
+  }
+
+  set hass(hass) {
+    const prevLang = this._root ? this._lang() : null;
+    const prevEntities = this._entitySignature();
+    this._hass = hass;
+    if (!this._root) this._initRoot();
+    else if (prevLang !== this._lang() || prevEntities !== this._entitySignature()) this._render();
+    if (prevEntities !== this._entitySignature()) this._confirmEntities();
+    if (this._connected) {
+      this._ensureLoaded();
+      this._ensureSubscribed();
+      this._watchConnection();
+      this._ensureHolidays();
+    }
+  }
+
+  connectedCallback() {
+    this._connected = true;
+    if (!this._root) this._initRoot();
+    this._ensureLoaded();
+    this._ensureSubscribed();
+    this._watchConnection();
+    this._ensureHolidays();
+  }
+
+  disconnectedCallback() {
+    this._connected = false;
+    this._unsubscribe();
+    this._unwatchConnection();
+    if (this._toastTimer) clearTimeout(this._toastTimer);
+    this._toastTimer = null;
+    this._toast = null;
+    if (this._scrollFrame) cancelAnimationFrame(this._scrollFrame);
+    this._scrollFrame = 0;
+    // A card with taps still waiting keeps its queue slot; it goes on flushing while detached.
+    if (!Object.keys(this._unsentDeltas()).length) {
+      releaseQueueSlot(this._queueSlot);
+      this._queueSlot = null;
+    }
+  }
+
+  _initRoot() {
+    this._root = this.attachShadow({ mode: "open" });
+    this._render();
+  }
+
+  _lang() {
+    return resolveLanguage(this._config, this._hass);
+  }
+
+  _t(key, vars) {
+    return localize(this._lang(), key, vars);
+  }
+
+  // HA sets `preview` on cards shown in the card picker and the editor.
+  set preview(preview) {
+    this._preview = !!preview;
+    if (this._connected) {
+      this._ensureLoaded();
+      this._ensureSubscribed();
+    }
+  }
+
+  _store() {
+    const kind = resolveStorageKind(this._config, this._hass, this._preview);
+    const prefix = storagePrefix(this._config, this._hass);
+    const sig = `${kind}|${prefix}`;
+    if (this._storageSig !== sig) {
+      // Unsent deltas belong to the previous store. A remote store's queue stays persisted
+      // and is picked up again if the card switches back to it.
+      for (const s of Object.values(this._goalFlush || {})) if (s.timer) clearTimeout(s.timer);
+      this._goalFlush = {};
+      this._restoredQueueKey = null;
+      this._history = {};
+      this._historyDays = {};
+      this._storageSig = sig;
+      this._storage = namespacedStore(createStorage(kind, () => this._hass), prefix);
+    }
+    return this._storage;
+  }
+
+  _configSignature() {
+    const title = safeText(this._config?.title);
+    const goals = normalizeGoals(this._config?.goals);
+    const steps = normalizeSteps(this._config?.steps);
+    const delivery = normalizeDelivery(this._config?.delivery);
+    const checklist = normalizeChecklist(this._config?.checklist);
+    const pace = normalizePace(this._config);
+    const checklistReset = normalizeReset(this._config?.checklist_reset);
+    // Reload history once the measuring window has moved to a new day, and counters once
+    // a reset period has rolled over.
+    const today = dayKey(startOfToday());
+    const periods = [...goals.map((g) => periodKey("", g.reset)), periodKey("", checklistReset)];
+    const storage = [resolveStorageKind(this._config, this._hass, this._preview), storagePrefix(this._config, this._hass)];
+    return JSON.stringify({ title, goals, checklist, steps, delivery, pace, today, checklistReset, periods, storage });
+  }
+
+  // Goals bound to an HA entity are read from `hass.states`, not from goal_counter storage.
+  _backendKeys() {
+    const goals = (this._goals || []).filter((g) => !g.entity);
+    const checklist = this._checklist || [];
+    const checkKey = this._checkKeys();
+    return [...goals.map((g) => this._goalKey(g)), ...checklist.map((it) => checkKey(it.id))];
+  }
+
+  _goalKey(g, at) {
+    return periodKey(g.id, g.reset, at);
+  }
+
+  _checkKey(itemId, at) {
+    return this._checkKeys(at)(itemId);
+  }
+
+  // Working out the period means parsing the reset (a cron string, possibly); do it once
+  // and key every item of a long checklist with the same suffix.
+  _checkKeys(at) {
+    const suffix = periodKey("", normalizeReset(this._config?.checklist_reset), at);
+    return (itemId) => `${checklistKey(itemId)}${suffix}`;
+  }
+
+  // Keys holding last period's results; only read on load.
+  _archiveKeys() {
+    const prevChecks = previousPeriod("", normalizeReset(this._config?.checklist_reset));
+    const goals = (this._goals || []).filter((g) => g.reset);
+    return [
+      ...goals.map((g) => previousPeriod(g.id, g.reset)?.key),
+      ...(prevChecks ? (this._checklist || []).map((it) => `${checklistKey(it.id)}${prevChecks.key}`) : []),
+    ].filter(Boolean);
+  }
+
+  _entitySignature() {
+    const states = this._hass?.states || {};
+    return (this._goals || [])
+      .filter((g) => g.entity)
+      .map((g) => `${g.entity}=${states[g.entity]?.state}@${states[g.entity]?.last_updated}`)
+      .join("|");
+  }
+
+  // Shows the last written value until HA reports a newer state, then the state plus
+  // anything still waiting in the debounce.
+  _entityValue(g) {
+    const stateObj = this._hass?.states?.[g.entity];
+    const s = this._entityFlush?.[g.id];
+    let base = entityNumber(stateObj);
+    if (s?.sent && s.sent.lastUpdated === stateObj?.last_updated) base = s.sent.value;
+    if (base == null) return null;
+    return clampInt(base) + clampInt(s?.pending);
+  }
+
+  _queueEntityDelta(g, d, undoEntry) {
+    this._entityFlush = this._entityFlush || {};
+    const s = this._entityFlush[g.id] || { pending: 0, timer: null, sent: null };
+    s.pending = clampInt(s.pending) + d;
+    if (undoEntry) s.undo = [...(s.undo || []), undoEntry];
+    if (s.timer) clearTimeout(s.timer);
+    s.timer = setTimeout(() => {
+      s.timer = null;
+      this._flushEntityDelta(g);
+    }, FLUSH_DELAY_MS);
+    this._entityFlush[g.id] = s;
+  }
+
+  async _flushEntityDelta(g) {
+    const s = this._entityFlush?.[g.id];
+    const hass = this._hass;
+    if (!s || !hass) return;
+    const value = this._entityValue(g);
+    const stateObj = hass.states?.[g.entity];
+    const delta = clampInt(s.pending);
+    const undo = s.undo || [];
+    s.pending = 0;
+    s.undo = [];
+    if (value == null || delta === 0) return;
+    s.sent = { value, lastUpdated: stateObj?.last_updated };
+    s.wrote = true;
+    try {
+      // One call with the target, worked out from the latest state just now; `counter.increment`
+      // would move by the counter's own step, whatever the tap was.
+      await hass.callService(entityDomain(g.entity), "set_value", { entity_id: g.entity, value });
+      this._entityError = null;
+    } catch (e) {
+      // The entity itself is the source of truth; drop the delta and show its real state.
+      // Kept apart from `_error` so the next storage write doesn't hide it.
+      s.sent = null;
+      s.wrote = false;
+      this._dropUndo(...undo);
+      this._entityError = this._t("card.entity_failed", { entity: g.entity, error: errorText(e) });
+    }
+    this._render();
+  }
+
+  // History is only read where it is shown: the measured pace and an expanded chart. Days
+  // already read are kept (not today, which still changes), so a day rollover costs one key
+  // per goal rather than the whole window.
+  async _loadHistory(goalIds, days) {
+    const today = dayKey(startOfToday());
+    this._history = this._history || {};
+    this._historyDays = this._historyDays || {};
+    const wanted = [];
+    for (const id of goalIds) {
+      const have = (this._historyDays[id] = this._historyDays[id] || new Set());
+      for (const day of days) {
+        if (have.has(day)) continue;
+        wanted.push({ id, day, key: historyKey(id, day) });
+        if (day < today) have.add(day);
+      }
+    }
+    if (!wanted.length) return;
+
+    let values = {};
+    let errors = {};
+    try {
+      ({ values, errors } = await this._store().getMany(wanted.map((w) => w.key)));
+      const err = describeKeyErrors(errors, this._lang());
+      if (err) this._error = err;
+    } catch (e) {
+      this._error = errorText(e);
+    }
+    for (const { id, day, key } of wanted) {
+      if (!(key in values)) {
+        this._historyDays[id].delete(day);
+        continue;
+      }
+      // Stores that were never written read as 0; only keep days that saw activity.
+      if (values[key] !== 0) this._history[id] = { ...this._history[id], [day]: values[key] };
+    }
+    this._render();
+  }
+
+  async _ensureSubscribed() {
+    if (!this._connected || !this._hass) return;
+    const store = this._store();
+    const conn = this._hass.connection;
+    const keys = this._backendKeys();
+    const sig = JSON.stringify(keys);
+    if (this._subSig === sig && this._subConn === conn && this._subStore === store) return;
 
-  const sample = lines.slice(0, 20).join("\n");
-  let delim = ",";
-  if (sample.includes("\t")) delim = "\t";
-  else {
-    const semi = (sample.match(/;/g) || []).length;
-    const comma = (sample.match(/,/g) || []).length;
-    delim = semi > comma ? ";" : ",";
-  }
+    this._unsubscribe();
+    this._subSig = sig;
+    this._subConn = conn;
+    this._subStore = store;
+    if (!keys.length) return;
 
-  const values = [];
-  for (const line of lines) {
-    const first = line.split(delim)[0];
-    const v = stripOuterQuotes(first);
-    if (v) values.push(v);
+    const token = {};
+    this._subToken = token;
+    try {
+      const unsub = await store.subscribe(keys, (ev) => this._onRemoteValues(ev));
+      if (this._subToken !== token) {
+        // Config changed or card was removed while subscribing.
+        if (unsub) unsub();
+        return;
+      }
+      this._unsub = unsub;
+      this._subRetries = 0;
+    } catch (e) {
+      if (this._subToken !== token) return;
+      this._error = errorText(e);
+      this._render();
+      // A transient failure must not leave live sync off; retry with the flush queue's backoff.
+      this._subRetries = clampInt(this._subRetries) + 1;
+      this._subTimer = setTimeout(() => {
+        this._subTimer = null;
+        this._subSig = null;
+        this._ensureSubscribed();
+      }, retryDelay(this._subRetries));
+    }
   }
 
-  // Skip common header labels
-  const header = (values[0] || "").toLowerCase();
-  if (["butik", "store", "navn", "name", "checkliste", "checklist"].includes(header) && values.length > 1) {
-    values.shift();
+  _unsubscribe() {
+    if (this._subTimer) clearTimeout(this._subTimer);
+    this._subTimer = null;
+    const unsub = this._unsub;
+    this._unsub = null;
+    this._subToken = null;
+    this._subSig = null;
+    this._subConn = null;
+    this._subStore = null;
+    if (typeof unsub === "function") {
+      Promise.resolve()
+        .then(() => unsub())
+        .catch(() => {});
+    }
   }
-  return values;
-}
 
-async function callWS(hass, msg) {
-  if (!hass) throw new Error("No hass");
-  if (typeof hass.callWS === "function") return await hass.callWS(msg);
-  const conn = hass.connection;
-  if (conn && typeof conn.sendMessagePromise === "function") return await conn.sendMessagePromise(msg);
-  throw new Error("No websocket connection");
-}
+  // Events carry either `{ key, value }` or `{ values: { key: value } }`.
+  _onRemoteValues(ev) {
+    const values = ev?.values && typeof ev.values === "object" ? { ...ev.values } : {};
+    if (ev?.key != null) values[ev.key] = ev.value;
+    const meta = ev?.meta && typeof ev.meta === "object" ? ev.meta : {};
+    const activity = [];
 
-function normalizeGoals(rawGoals) {
-  const src = Array.isArray(rawGoals) ? rawGoals : [];
-  const out = [];
-  for (const g of src) {
-    if (!g || typeof g !== "object") continue;
-    const name = safeText(g.name || g.title || g.id).trim();
-    const target = clampInt(g.target);
-    const avgPerDay = clampFloat(g.avg_per_day ?? g.avgPerDay ?? g.per_day ?? g.perDay);
-    if (!name) continue;
-    const id = safeText(g.id).trim() || slugify(name);
-    out.push({ id, name, target, avg_per_day: avgPerDay });
+    let changed = false;
+    for (const g of this._goals || []) {
+      const key = this._goalKey(g);
+      if (g.entity || !(key in values)) continue;
+      const s = this._goalFlush?.[key];
+      // A write in flight returns the authoritative value itself.
+      if (s?.inFlight) continue;
+      this._confirmGoal(g, clampInt(values[key]), false);
+      const next = clampInt(values[key]) + clampInt(s?.pending);
+      if (this._counts[g.id] !== next) {
+        if (meta[key]) activity.push({ key, delta: next - clampInt(this._counts[g.id]), ...meta[key] });
+        this._counts[g.id] = next;
+        changed = true;
+      }
+    }
+    const checkKey = this._checkKeys();
+    const confirmed = {};
+    for (const it of this._checklist || []) {
+      const key = checkKey(it.id);
+      if (!(key in values)) continue;
+      const next = clampInt(values[key]) > 0;
+      confirmed[it.id] = next;
+      if (this._checks[it.id] !== next) {
+        if (meta[key]) activity.push({ key, delta: next ? 1 : -1, ...meta[key] });
+        this._checks[it.id] = next;
+        changed = true;
+      }
+    }
+    this._confirmChecks(confirmed, false);
+    if (Object.keys(meta).length) {
+      this._meta = { ...this._meta, ...meta };
+      this._recordActivity(activity);
+      changed = true;
+    }
+    if (changed) this._render();
   }
-  // stable unique by id
-  const seen = new Set();
-  const uniq = [];
-  for (const g of out) {
-    if (seen.has(g.id)) continue;
-    seen.add(g.id);
-    uniq.push(g);
+
+  // Retry queued deltas as soon as the websocket (or the browser) is back online.
+  _watchConnection() {
+    const conn = this._hass?.connection;
+    if (this._watchedConn === conn && this._onReconnect) return;
+    this._unwatchConnection();
+    this._onReconnect = () => this._flushAllGoalDeltas();
+    this._watchedConn = conn;
+    if (conn && typeof conn.addEventListener === "function") conn.addEventListener("ready", this._onReconnect);
+    window.addEventListener("online", this._onReconnect);
   }
-  return uniq;
-}
 
-function normalizeChecklist(rawItems) {
-  const src = Array.isArray(rawItems) ? rawItems : [];
-  const out = [];
-  for (const it of src) {
-    if (!it || typeof it !== "object") continue;
-    const label = safeText(it.label || it.name || it.title || it.id).trim();
-    if (!label) continue;
-    const id = safeText(it.id).trim() || slugify(label);
-    out.push({ id, label });
+  _unwatchConnection() {
+    const conn = this._watchedConn;
+    const fn = this._onReconnect;
+    this._watchedConn = null;
+    this._onReconnect = null;
+    if (!fn) return;
+    if (conn && typeof conn.removeEventListener === "function") conn.removeEventListener("ready", fn);
+    window.removeEventListener("online", fn);
   }
-  // stable unique by id
-  const seen = new Set();
-  const uniq = [];
-  for (const it of out) {
-    if (seen.has(it.id)) continue;
-    seen.add(it.id);
-    uniq.push(it);
+
+  // Cards with the same title and goal ids share this key; each instance adds its own suffix.
+  _queueStorageKey(prefix = storagePrefix(this._config, this._hass)) {
+    const ids = (this._goals || []).map((g) => g.id);
+    const scope = prefix ? [safeText(this._config?.title), ids, prefix] : [safeText(this._config?.title), ids];
+    return `${STORAGE_PREFIX}:queue:${hashString(JSON.stringify(scope))}`;
   }
-  return uniq;
-}
 
-class GoalCounterCard extends HTMLElement {
-  static getStubConfig() {
-    return {
-      type: "custom:goal-counter-card",
-      title: "Goals",
-      goals: [{ name: "Mit mål", target: 100, avg_per_day: 1 }],
-      checklist: [{ label: "Et punkt jeg kan krydse af" }],
-    };
+  _goalQueueState(id) {
+    this._goalFlush = this._goalFlush || {};
+    const s = this._goalFlush[id] || { pending: 0, inFlightDelta: 0, timer: null, inFlight: false, retries: 0 };
+    this._goalFlush[id] = s;
+    return s;
   }
 
-  static getConfigElement() {
-    return document.createElement("goal-counter-card-editor");
+  _queueEntryKey() {
+    const base = this._queueStorageKey();
+    if (this._queueSlot?.base !== base) {
+      releaseQueueSlot(this._queueSlot);
+      this._queueSlot = acquireQueueSlot(base);
+    }
+    return `${base}:${tabId()}.${this._queueSlot.n}`;
   }
 
-  setConfig(config) {
-    if (!config) throw new Error("Invalid config");
-    this._config = config;
-    this._goals = normalizeGoals(config.goals);
-    this._checklist = normalizeChecklist(config.checklist);
-    this._counts = this._counts || {};
-    this._checks = this._checks || {};
-    this._loadedKey = null;
-    if (this._root) this._render();
+  _unsentDeltas() {
+    const deltas = {};
+    for (const [id, s] of Object.entries(this._goalFlush || {})) {
+      const unsent = clampInt(s.pending) + clampInt(s.inFlightDelta);
+      if (unsent !== 0) deltas[id] = unsent;
+    }
+    return deltas;
   }
 
-  set hass(hass) {
-    this._hass = hass;
-    if (!this._root) this._initRoot();
-    if (this._connected) this._ensureLoaded();
+  // A delta stays persisted until the backend has acknowledged it, so in-flight deltas count too.
+  // Local stores can't be offline, and demo taps must never end up in the real backend.
+  _persistGoalQueue() {
+    if (!this._store().remote) return;
+    const key = this._queueEntryKey();
+    if (this._queueKey && this._queueKey !== key) writeStoredJson(this._queueKey, null);
+    this._queueKey = key;
+
+    const deltas = this._unsentDeltas();
+    const waiting = Object.keys(deltas).length > 0;
+    writeStoredJson(key, waiting ? { beat: Date.now(), deltas } : null);
+    if (waiting && !this._queueBeat) {
+      this._queueBeat = setInterval(() => this._persistGoalQueue(), QUEUE_HEARTBEAT_MS);
+    } else if (!waiting && this._queueBeat) {
+      clearInterval(this._queueBeat);
+      this._queueBeat = null;
+    }
   }
 
-  connectedCallback() {
-    this._connected = true;
-    if (!this._root) this._initRoot();
-    this._ensureLoaded();
+  // Picks up deltas a previous page load could not send. Runs once per storage key. Other
+  // instances' queues are only taken once their owner is gone, and only by the card whose
+  // claim is still standing when it checks back; taps queued before a namespace was set
+  // move into it, like the values the editor migrates.
+  _restoreGoalQueue() {
+    if (!this._store().remote) return;
+    const base = this._queueStorageKey();
+    if (this._restoredQueueKey === base) return;
+    this._restoredQueueKey = base;
+
+    const own = this._queueEntryKey();
+    this._replayQueue(storedQueue(readStoredJson(own))?.deltas);
+    const now = Date.now();
+    const claimed = [];
+    for (const b of new Set([base, this._queueStorageKey("")])) {
+      for (const key of storedKeys(b)) {
+        if (key === own || (key !== b && !key.startsWith(`${b}:`))) continue;
+        const entry = storedQueue(readStoredJson(key));
+        if (!entry || now - clampInt(entry.beat) < QUEUE_STALE_MS) continue;
+        writeStoredJson(key, { ...entry, beat: now, claim: own });
+        claimed.push(key);
+      }
+    }
+    this._persistGoalQueue();
+    if (!claimed.length) return;
+
+    setTimeout(() => {
+      if (this._restoredQueueKey !== base) return;
+      for (const key of claimed) {
+        const entry = storedQueue(readStoredJson(key));
+        if (entry?.claim !== own) continue;
+        writeStoredJson(key, null);
+        this._replayQueue(entry.deltas);
+      }
+      this._persistGoalQueue();
+      this._render();
+    }, QUEUE_CLAIM_MS);
   }
 
-  disconnectedCallback() {
-    this._connected = false;
+  _replayQueue(deltas) {
+    if (!deltas || typeof deltas !== "object") return;
+    const goals = this._goals || [];
+    const ids = new Set(goals.map((g) => g.id));
+    this._counts = this._counts || {};
+    for (const [id, raw] of Object.entries(deltas)) {
+      const delta = clampInt(raw);
+      const goalId = parseHistoryKey(id)?.goalId ?? periodKeyBase(id);
+      if (!ids.has(goalId) || delta === 0) continue;
+      const s = this._goalQueueState(id);
+      s.pending = clampInt(s.pending) + delta;
+      s.retries = Math.max(1, clampInt(s.retries));
+      this._scheduleGoalFlush(id, FLUSH_DELAY_MS);
+      const goal = goals.find((g) => this._goalKey(g) === id);
+      if (goal) this._counts[goal.id] = clampInt(this._counts[goal.id]) + delta;
+    }
   }
 
-  _initRoot() {
-    this._root = this.attachShadow({ mode: "open" });
-    this._render();
+  _unsavedGoalCount() {
+    let n = 0;
+    for (const [id, s] of Object.entries(this._goalFlush || {})) {
+      if (parseHistoryKey(id)) continue;
+      if (clampInt(s.retries) > 0 && clampInt(s.pending) + clampInt(s.inFlightDelta) !== 0) n += 1;
+    }
+    return n;
   }
 
-  _configSignature() {
-    const title = safeText(this._config?.title);
-    const goals = normalizeGoals(this._config?.goals);
-    const checklist = normalizeChecklist(this._config?.checklist);
-    return JSON.stringify({ title, goals, checklist });
+  _scheduleGoalFlush(id, delay) {
+    const s = this._goalQueueState(id);
+    if (s.timer) clearTimeout(s.timer);
+    s.timer = setTimeout(() => {
+      s.timer = null;
+      this._flushGoalDelta(id);
+    }, delay);
+  }
+
+  _flushAllGoalDeltas() {
+    const [id] = Object.entries(this._goalFlush || {}).find(([, s]) => !s.inFlight && clampInt(s.pending) !== 0) || [];
+    if (id) this._flushGoalDelta(id);
   }
 
   async _ensureLoaded() {
@@ -211,131 +2634,640 @@ class GoalCounterCard extends HTMLElement {
     this._checklist = normalizeChecklist(this._config?.checklist);
     this._counts = this._counts || {};
     this._checks = this._checks || {};
+    this._confirmed = null;
     this._loading = true;
     this._error = null;
+    this._restoreGoalQueue();
     this._render();
 
     try {
-      const hass = this._hass;
       const goals = this._goals;
       const checklist = this._checklist;
-      const promises = goals.map(async (g) => {
-        const res = await callWS(hass, { type: `${DOMAIN}/get`, key: g.id });
-        this._counts[g.id] = clampInt(res?.value);
-      });
-      const checklistPromises = checklist.map(async (it) => {
-        const res = await callWS(hass, { type: `${DOMAIN}/get`, key: checklistKey(it.id) });
-        this._checks[it.id] = clampInt(res?.value) > 0;
-      });
-      promises.push(...checklistPromises);
-      await Promise.all(promises);
+      const keys = [...this._backendKeys(), ...this._archiveKeys()];
+      const { values, errors, meta } = await this._store().getMany(keys);
+      this._meta = { ...this._meta, ...meta };
+      const checklistReset = normalizeReset(this._config?.checklist_reset);
+      const confirmed = { goals: {}, checks: {} };
+      this._lastPeriod = {};
+      for (const g of goals) {
+        if (g.entity) confirmed.goals[g.id] = entityNumber(this._hass?.states?.[g.entity]);
+        const key = this._goalKey(g);
+        const prev = previousPeriod(g.id, g.reset);
+        if (prev && prev.key in values) this._lastPeriod[g.id] = { start: prev.start, value: values[prev.key] };
+        if (!(key in values)) continue;
+        const s = this._goalFlush?.[key];
+        this._counts[g.id] = values[key] + clampInt(s?.pending) + clampInt(s?.inFlightDelta);
+        confirmed.goals[g.id] = values[key];
+      }
+      this._lastChecks = null;
+      const prevChecks = previousPeriod("", checklistReset);
+      if (prevChecks) this._lastChecks = { start: prevChecks.start, done: 0 };
+      const checkKey = this._checkKeys();
+      for (const it of checklist) {
+        const key = checkKey(it.id);
+        if (key in values) this._checks[it.id] = confirmed.checks[it.id] = values[key] > 0;
+        if (prevChecks && values[`${checklistKey(it.id)}${prevChecks.key}`] > 0) this._lastChecks.done += 1;
+      }
+      // What the load reads is the baseline; reloading never fires a milestone.
+      this._confirmed = confirmed;
+      this._error = describeKeyErrors(errors, this._lang());
     } catch (e) {
-      this._error = safeText(e?.message || e);
+      this._error = errorText(e);
     } finally {
       this._loading = false;
       this._render();
     }
+    const pace = normalizePace(this._config);
+    if (pace.eta === "measured") this._loadHistory(this._goals.map((g) => g.id), paceDays(pace.window));
+    if (normalizeChart(this._config).enabled) {
+      for (const id of this._expanded || []) this._loadChartHistory(id);
+    }
+    this._loadActivity();
+  }
+
+  // Holidays come from the configured calendar's all-day events and the workday entity;
+  // refreshed once a day. The day only counts as fetched once hass is there to fetch it.
+  async _ensureHolidays() {
+    const { calendar, entity } = normalizeWorkdays(this._config);
+    const today = startOfToday();
+    const sig = calendar || entity ? `${calendar}|${entity}:${dayKey(today)}` : "";
+    if (this._holidaySig === sig) return;
+    if (!sig) {
+      this._holidaySig = sig;
+      this._holidays = null;
+      return;
+    }
+    const hass = this._hass;
+    if (!hass || (calendar && typeof hass.callApi !== "function")) return;
+    this._holidaySig = sig;
+    try {
+      const holidays = new Set();
+      if (calendar) {
+        const start = encodeURIComponent(today.toISOString());
+        const end = encodeURIComponent(addDays(today, HOLIDAY_LOOKAHEAD_DAYS).toISOString());
+        const events = await hass.callApi("GET", `calendars/${calendar}?start=${start}&end=${end}`);
+        for (const day of holidayDaysFromEvents(events)) holidays.add(day);
+      }
+      if (entity) for (const day of await workdayEntityHolidays(hass, entity, today)) holidays.add(day);
+      if (this._holidaySig !== sig) return;
+      this._holidays = holidays;
+    } catch (e) {
+      this._holidays = null;
+      this._error = errorText(e);
+    }
+    this._render();
+  }
+
+  // Collapsed checklist groups are a per-device view preference, not card config. Scoped
+  // like the queue, so untitled cards don't share one state.
+  _groupsStorageKey() {
+    const ids = (this._checklist || []).map((it) => it.id);
+    const prefix = storagePrefix(this._config, this._hass);
+    const scope = prefix ? [safeText(this._config?.title), ids, prefix] : [safeText(this._config?.title), ids];
+    return `${STORAGE_PREFIX}:collapsed:${hashString(JSON.stringify(scope))}`;
+  }
+
+  _collapsedGroups() {
+    const key = this._groupsStorageKey();
+    if (!this._collapsed || this._collapsedKey !== key) {
+      this._collapsedKey = key;
+      const stored = readStoredJson(key);
+      this._collapsed = new Set(Array.isArray(stored) ? stored.map(safeText) : []);
+    }
+    return this._collapsed;
+  }
+
+  _toggleGroup(name) {
+    const collapsed = this._collapsedGroups();
+    if (collapsed.has(name)) collapsed.delete(name);
+    else collapsed.add(name);
+    writeStoredJson(this._groupsStorageKey(), collapsed.size ? [...collapsed] : null);
+    this._render();
+  }
+
+  _toggleGoalChart(goalId) {
+    this._expanded = this._expanded || new Set();
+    if (this._expanded.has(goalId)) this._expanded.delete(goalId);
+    else {
+      this._expanded.add(goalId);
+      this._loadChartHistory(goalId);
+    }
+    this._render();
   }
 
-  _queueGoalDelta(goalId, delta) {
+  _loadChartHistory(goalId) {
+    return this._loadHistory([goalId], chartDays(normalizeChart(this._config).days));
+  }
+
+  // `opts.at` books the change at the time of an earlier tap (undo), so it lands in that
+  // tap's day and reset period; `opts.undo` keeps the change itself off the undo stack.
+  _queueGoalDelta(goalId, delta, opts = {}) {
     const id = safeText(goalId).trim();
     const d = clampInt(delta);
     if (!id || d === 0) return;
+    const goal = (this._goals || []).find((g) => g.id === id);
+    if (goal?.entity && (!isWritableEntity(goal.entity) || this._entityValue(goal) == null)) return;
+    const at = opts.at ? new Date(opts.at) : new Date();
+    const undoEntry = opts.undo ? null : this._pushUndo({ kind: "goal", id, delta: d, at: at.getTime() });
+    const key = goal ? this._goalKey(goal, at) : id;
 
-    // Apply instantly in UI
-    this._counts = this._counts || {};
-    this._counts[id] = clampInt(this._counts[id]) + d;
+    // Apply instantly in UI; a change booked in an earlier period only moves its archive.
+    if (goal?.entity) this._queueEntityDelta(goal, d, undoEntry);
+    else if (!goal || key === this._goalKey(goal)) {
+      this._counts = this._counts || {};
+      this._counts[id] = clampInt(this._counts[id]) + d;
+    } else if (this._lastPeriod?.[id] && key === previousPeriod(id, goal.reset)?.key) {
+      this._lastPeriod[id].value += d;
+    }
     this._error = null;
     this._render();
 
-    // Debounced backend flush
-    this._goalFlush = this._goalFlush || {};
-    const s = this._goalFlush[id] || { pending: 0, timer: null, inFlight: false };
-    s.pending = clampInt(s.pending) + d;
-    if (s.timer) clearTimeout(s.timer);
-    s.timer = setTimeout(() => this._flushGoalDelta(id), 1000);
-    this._goalFlush[id] = s;
+    // Debounced backend flush. The day's history entry is queued alongside so it
+    // is recorded against the day of the tap, even if it is only sent later.
+    const hKey = historyKey(id, dayKey(at));
+    for (const k of goal?.entity ? [hKey] : [key, hKey]) {
+      const s = this._goalQueueState(k);
+      s.pending = clampInt(s.pending) + d;
+      this._scheduleGoalFlush(k, FLUSH_DELAY_MS);
+    }
+    this._persistGoalQueue();
   }
 
+  // Sends `goalId` together with every other key that has deltas waiting, so a tap's counter
+  // and its day's history entry go out as one set_many.
   async _flushGoalDelta(goalId) {
     const id = safeText(goalId).trim();
-    if (!id) return;
-    const s = this._goalFlush?.[id];
-    if (!s) return;
-    if (s.inFlight) return;
-
-    const delta = clampInt(s.pending);
-    if (delta === 0) return;
+    const own = this._goalFlush?.[id];
+    if (!id || !own || own.inFlight || clampInt(own.pending) === 0) return;
 
-    s.inFlight = true;
-    s.pending = 0;
-    this._goalFlush[id] = s;
+    const batch = Object.entries(this._goalFlush)
+      .filter(([, s]) => !s.inFlight && clampInt(s.pending) !== 0)
+      .map(([key, s]) => ({ key, s, delta: clampInt(s.pending) }));
+    for (const { s, delta } of batch) {
+      if (s.timer) clearTimeout(s.timer);
+      s.timer = null;
+      s.inFlight = true;
+      s.inFlightDelta = delta;
+      s.pending = 0;
+    }
 
+    let values = {};
+    let errors = {};
     try {
-      const res = await callWS(this._hass, { type: `${DOMAIN}/set`, key: id, delta });
-      this._counts[id] = clampInt(res?.value);
-      this._error = null;
+      if (batch.length === 1) {
+        const res = await this._sendSet(batch[0].key, batch[0].delta);
+        values = { [batch[0].key]: res?.value };
+      } else {
+        ({ values, errors } = await this._sendSetMany(batch.map(({ key, delta }) => ({ key, delta }))));
+      }
+      this._error = describeKeyErrors(errors, this._lang());
     } catch (e) {
-      // Keep UI optimistic; show error.
-      this._error = safeText(e?.message || e);
-    } finally {
+      this._error = errorText(e);
+    }
+
+    for (const { key, s, delta } of batch) {
       s.inFlight = false;
-      this._goalFlush[id] = s;
+      s.inFlightDelta = 0;
+      if (key in values) {
+        this._applyGoalResult(key, clampInt(values[key]), delta);
+        s.retries = 0;
+      } else {
+        // Keep UI optimistic; put the delta back so it is retried instead of lost.
+        s.pending = clampInt(s.pending) + delta;
+        s.retries = clampInt(s.retries) + 1;
+      }
+      if (clampInt(s.pending) !== 0 && !s.timer) {
+        this._scheduleGoalFlush(key, s.retries ? retryDelay(s.retries) : FLUSH_DELAY_MS);
+      }
+    }
+    this._persistGoalQueue();
+    this._render();
+  }
+
+  _applyGoalResult(key, value, delta) {
+    const h = parseHistoryKey(key);
+    if (h) {
+      this._history = this._history || {};
+      this._history[h.goalId] = { ...this._history[h.goalId], [h.day]: value };
+      return;
+    }
+    // Keep deltas queued while this write was in flight on top of the server value.
+    // Writes for an earlier period (sent late) don't touch the current count.
+    const goal = (this._goals || []).find((g) => this._goalKey(g) === key);
+    if (!goal) return;
+    this._counts[goal.id] = value + clampInt(this._goalFlush?.[key]?.pending);
+    this._confirmGoal(goal, value, true, value - delta);
+  }
+
+  async _sendSet(key, delta) {
+    const meta = changeMeta(this._hass);
+    const res = await this._store().set(key, delta, meta);
+    if (!parseHistoryKey(key)) this._recordChange(key, delta, res?.meta || meta);
+    return res;
+  }
+
+  _recordChange(key, delta, meta) {
+    if (!meta) return;
+    this._meta = { ...this._meta, [key]: meta };
+    this._recordActivity([{ key, delta, ...meta }]);
+  }
+
+  // Newest first; the same change can arrive from the write itself and from the subscription.
+  _recordActivity(entries) {
+    const seen = new Set();
+    this._activity = [...entries, ...(this._activity || [])]
+      .filter((a) => {
+        const id = `${a.key}|${a.changed_at}`;
+        if (!a.changed_at || seen.has(id)) return false;
+        seen.add(id);
+        return true;
+      })
+      .sort((a, b) => safeText(b.changed_at).localeCompare(safeText(a.changed_at)))
+      .slice(0, normalizeActivityLimit(this._config));
+  }
+
+  // `activity` returns the latest changes across keys; without it the panel only shows
+  // what this card has seen since it was loaded.
+  async _loadActivity() {
+    const limit = normalizeActivityLimit(this._config);
+    if (!limit) return;
+    try {
+      const entries = await this._store().activity(this._backendKeys(), limit);
+      if (!entries) return;
+      this._recordActivity(entries);
       this._render();
+    } catch (e) {
+      // The panel just keeps what this card has seen itself.
     }
   }
 
-  async _applyChecklistSet(itemId, checked) {
+  async _sendSetMany(items) {
+    const meta = changeMeta(this._hass);
+    const res = await this._store().setMany(items, meta);
+    for (const { key, delta } of items) {
+      if (key in res.values && !parseHistoryKey(key)) this._recordChange(key, delta, res.meta?.[key] || meta);
+    }
+    return res;
+  }
+
+  // Items with a write in flight are locked on their own; the rest of the list stays usable.
+  _busyChecks() {
+    this._checkBusy = this._checkBusy || new Set();
+    return this._checkBusy;
+  }
+
+  async _applyChecklistSet(itemId, checked, opts = {}) {
+    const busy = this._busyChecks();
+    if (busy.has(itemId)) return;
+    let undoEntry = null;
     try {
       const cur = this._checks?.[itemId] ? 1 : 0;
       const next = checked ? 1 : 0;
       const delta = next - cur;
       if (delta === 0) return;
+      if (!opts.undo) undoEntry = this._pushUndo({ kind: "check", id: itemId, checked: !!checked });
 
-      this._busy = true;
+      busy.add(itemId);
       this._error = null;
       this._render();
 
-      const res = await callWS(this._hass, {
-        type: `${DOMAIN}/set`,
-        key: checklistKey(itemId),
-        delta: clampInt(delta),
-      });
+      const res = await this._sendSet(this._checkKey(itemId), clampInt(delta));
       this._checks[itemId] = clampInt(res?.value) > 0;
+      this._confirmChecks({ [itemId]: this._checks[itemId] }, true);
+    } catch (e) {
+      this._dropUndo(undoEntry);
+      this._error = errorText(e);
+    } finally {
+      busy.delete(itemId);
+      this._render();
+    }
+  }
+
+  // Bulk actions only write the items whose state actually changes, in one batch.
+  async _applyChecklistBulk(itemIds, checked, opts = {}) {
+    const busy = this._busyChecks();
+    const ids = itemIds.filter((id) => !busy.has(id) && !!this._checks?.[id] !== !!checked);
+    if (!ids.length) return;
+    const undoEntry = opts.undo ? null : this._pushUndo({ kind: "checks", ids, checked: !!checked });
+
+    const checkKey = this._checkKeys();
+    const keys = ids.map((id) => checkKey(id));
+    for (const id of ids) busy.add(id);
+    this._error = null;
+    this._render();
+
+    try {
+      const { values, errors } = await this._sendSetMany(keys.map((key) => ({ key, delta: checked ? 1 : -1 })));
+      const confirmed = {};
+      ids.forEach((id, i) => {
+        if (keys[i] in values) this._checks[id] = confirmed[id] = values[keys[i]] > 0;
+      });
+      this._confirmChecks(confirmed, true);
+      // Undo only covers the items that were actually written.
+      if (undoEntry) undoEntry.ids = ids.filter((id) => id in confirmed);
+      if (undoEntry && !undoEntry.ids.length) this._dropUndo(undoEntry);
+      this._error = describeKeyErrors(errors, this._lang());
     } catch (e) {
-      this._error = safeText(e?.message || e);
+      this._dropUndo(undoEntry);
+      this._error = errorText(e);
     } finally {
-      this._busy = false;
+      for (const id of ids) busy.delete(id);
+      this._render();
+    }
+  }
+
+  _confirmBulk(action) {
+    const ids = action === "reset" ? (this._checklist || []).map((it) => it.id) : this._visibleCheckIds || [];
+    this._menuOpen = false;
+    this._bulk = { action, ids };
+    this._render();
+  }
+
+  _runBulk() {
+    const bulk = this._bulk;
+    this._bulk = null;
+    if (bulk) this._applyChecklistBulk(bulk.ids, bulk.action === "check");
+    else this._render();
+  }
+
+  // Undo replays the inverse change. A goal delta still waiting in the debounce queue is
+  // cancelled out there before it is ever sent; a flushed one is sent back as a new delta.
+  _pushUndo(entry) {
+    this._undoStack = [...(this._undoStack || []), entry].slice(-UNDO_LIMIT);
+    this._toast = entry;
+    if (this._toastTimer) clearTimeout(this._toastTimer);
+    this._toastTimer = setTimeout(() => {
+      this._toastTimer = null;
+      this._toast = null;
+      this._render();
+    }, UNDO_TOAST_MS);
+    return entry;
+  }
+
+  // A write that failed changed nothing, so there is nothing left to undo.
+  _dropUndo(...entries) {
+    const drop = new Set(entries.filter(Boolean));
+    if (!drop.size) return;
+    this._undoStack = (this._undoStack || []).filter((entry) => !drop.has(entry));
+    if (drop.has(this._toast)) {
+      clearTimeout(this._toastTimer);
+      this._toastTimer = null;
+      this._toast = null;
+    }
+  }
+
+  // The entry on top can't be undone while its items are still being written.
+  _undoBlocked() {
+    const entry = (this._undoStack || [])[(this._undoStack || []).length - 1];
+    const ids = entry?.kind === "check" ? [entry.id] : entry?.kind === "checks" ? entry.ids : [];
+    const busy = this._busyChecks();
+    return ids.some((id) => busy.has(id));
+  }
+
+  _undoLast() {
+    if (this._undoBlocked()) return;
+    const entry = (this._undoStack || []).pop();
+    if (this._toastTimer) clearTimeout(this._toastTimer);
+    this._toastTimer = null;
+    this._toast = null;
+    if (entry?.kind === "goal" && (this._goals || []).some((g) => g.id === entry.id)) {
+      this._queueGoalDelta(entry.id, -entry.delta, { at: entry.at, undo: true });
+    } else if (entry?.kind === "check" && (this._checklist || []).some((it) => it.id === entry.id)) {
+      this._applyChecklistSet(entry.id, !entry.checked, { undo: true });
+    } else if (entry?.kind === "checks") {
+      const known = new Set((this._checklist || []).map((it) => it.id));
+      this._applyChecklistBulk(entry.ids.filter((id) => known.has(id)), !entry.checked, { undo: true });
+    } else {
+      this._render();
+    }
+  }
+
+  _describeUndo(entry) {
+    if (entry.kind === "goal") {
+      const goal = (this._goals || []).find((g) => g.id === entry.id);
+      const delta = entry.delta > 0 ? `+${entry.delta}` : `${entry.delta}`;
+      return this._t("card.activity_goal", { delta, goal: goal?.name || entry.id });
+    }
+    if (entry.kind === "checks") {
+      return this._t(entry.checked ? "card.activity_checked_many" : "card.activity_unchecked_many", { count: entry.ids.length });
+    }
+    const item = (this._checklist || []).find((it) => it.id === entry.id);
+    return this._t(entry.checked ? "card.activity_checked" : "card.activity_unchecked", { item: item?.label || entry.id });
+  }
+
+  // Milestones follow what the backend confirmed, never the optimistic count, so a tap undone
+  // before it was sent fires nothing. `own` marks a change made by this card's own write; only
+  // that card re-arms. A write's result, less its delta, is exactly where it started from.
+  _confirmGoal(g, value, own, before = this._confirmed?.goals[g.id]) {
+    const confirmed = this._confirmed;
+    if (!confirmed) return;
+    confirmed.goals[g.id] = value;
+    if (!g.milestones || before == null || value == null || before === value || g.target <= 0) return;
+    const automation = normalizeAutomation(this._config?.automation);
+    for (const percent of g.milestones) {
+      const threshold = milestoneThreshold(g.target, percent);
+      const key = periodKey(milestoneKey(g.id, percent), g.reset);
+      if (before < threshold && value >= threshold) {
+        this._fireTrigger(key, automation, {
+          trigger: "milestone",
+          goal_id: g.id,
+          goal_name: g.name,
+          value,
+          target: g.target,
+          percent,
+        });
+      } else if (own && before >= threshold && value < threshold) {
+        this._rearmTrigger(key);
+      }
+    }
+  }
+
+  // An entity's state is its confirmed value; a change is this card's own when it follows a
+  // write this card made to the entity.
+  _confirmEntities() {
+    for (const g of this._goals || []) {
+      if (!g.entity) continue;
+      const value = entityNumber(this._hass?.states?.[g.entity]);
+      if (value == null || value === this._confirmed?.goals[g.id]) continue;
+      const s = this._entityFlush?.[g.id];
+      this._confirmGoal(g, value, !!s?.wrote);
+      if (s) s.wrote = false;
+    }
+  }
+
+  _confirmChecks(states, own) {
+    const confirmed = this._confirmed;
+    if (!confirmed || !Object.keys(states).length) return;
+    const checklist = this._checklist || [];
+    const done = () => checklist.reduce((acc, it) => acc + (confirmed.checks[it.id] ? 1 : 0), 0);
+    const before = done();
+    Object.assign(confirmed.checks, states);
+    const now = done();
+    const automation = normalizeAutomation(this._config?.automation);
+    if (!automation.checklist_complete || !checklist.length || before === now) return;
+
+    const key = periodKey(`${MILESTONE_PREFIX}${CHECKLIST_PREFIX}complete`, normalizeReset(this._config?.checklist_reset));
+    if (now === checklist.length) {
+      this._fireTrigger(key, automation, {
+        trigger: "checklist_complete",
+        goal_id: null,
+        value: now,
+        target: checklist.length,
+        percent: 100,
+      });
+    } else if (own && before === checklist.length) {
+      this._rearmTrigger(key);
+    }
+  }
+
+  // Every open card races to claim the milestone key; only the one that moves it to 1 fires,
+  // so several tablets (or a reload) can't fire the same milestone twice. A card that loses
+  // gives its claim back, and so does the winner when the automation can't be started
+  // (fire_event needs an admin user), so the milestone isn't silently used up.
+  async _fireTrigger(key, automation, payload) {
+    const hass = this._hass;
+    const store = this._store();
+    // Demo data must not set off real automations.
+    if (store.kind === "demo") return;
+    try {
+      const res = await store.set(key, 1);
+      const value = clampInt(res?.value);
+      if (value > 1) await store.set(key, -1);
+      if (value !== 1) return;
+    } catch (e) {
+      this._triggerError = errorText(e);
+      this._render();
+      return;
+    }
+    try {
+      if (automation.service) {
+        const [domain, service] = automation.service.split(".");
+        await hass.callService(domain, service, { ...automation.service_data, ...payload });
+      } else {
+        await callWS(hass, { type: "fire_event", event_type: automation.event, event_data: payload });
+      }
+      this._triggerError = null;
+    } catch (e) {
+      // Kept apart from `_error`, which the next counter write clears.
+      this._triggerError = errorText(e);
+      try {
+        await store.set(key, -1);
+      } catch (err) {
+        // The claim stays taken; the error above is what the user needs to see.
+      }
+    }
+    this._render();
+  }
+
+  // Dropping back below a milestone re-arms it by taking one claim back, instead of writing
+  // back a value read earlier. A take that lands below 0 found nothing to take and is undone,
+  // so cards re-arming at once can't leave the claim negative.
+  async _rearmTrigger(key) {
+    const store = this._store();
+    if (store.kind === "demo") return;
+    try {
+      const value = clampInt((await store.set(key, -1))?.value);
+      if (value < 0) await store.set(key, 1);
+    } catch (e) {
+      this._triggerError = errorText(e);
       this._render();
     }
   }
 
-  _applyChecklistFilter() {
-    if (!this._root) return;
-    const q = safeText(this._checkFilter || "")
-      .trim()
-      .toLowerCase();
+  _export() {
+    const goals = this._goals || [];
+    const counts = { ...this._counts };
+    for (const g of goals) {
+      if (g.entity) counts[g.id] = this._entityValue(g);
+    }
+    const data = [goals, this._checklist || [], counts, this._checks || {}, this._lang()];
+    exportSheets(exportBaseName(this._config?.title), buildExportSheets(...data), buildExportCsv(...data));
+  }
+
+  _periodName(spec, start, locale) {
+    if (spec === "weekly") return this._t("card.period_week", { week: isoWeek(start).week });
+    if (spec === "monthly") {
+      try {
+        return new Intl.DateTimeFormat(locale, { month: "long", year: "numeric" }).format(start);
+      } catch (e) {
+        return periodLabel(spec, start);
+      }
+    }
+    return spec === "daily" ? formatLocalDate(start, locale) : formatLocalDateTime(start, locale);
+  }
+
+  _describeMeta(meta, locale) {
+    if (!meta?.changed_at) return "";
+    const user = safeText(meta.user_name) || (meta.user_id ? userName(this._hass, meta.user_id) : "") || this._t("card.someone");
+    return this._t("card.checked_by", { user, date: formatLocalDateTime(new Date(meta.changed_at), locale) });
+  }
 
-    const rows = this._root.querySelectorAll(".chk");
-    for (const row of rows) {
-      const txt = safeText(row.querySelector(".chktext")?.textContent || "").toLowerCase();
-      row.style.display = !q || txt.includes(q) ? "" : "none";
-    }
+  _renderActivity(locale) {
+    const limit = normalizeActivityLimit(this._config);
+    const entries = limit ? (this._activity || []).slice(0, limit) : [];
+    if (!entries.length) return "";
+    const goals = new Map((this._goals || []).map((g) => [g.id, g]));
+    const items = new Map((this._checklist || []).map((it) => [checklistKey(it.id), it]));
+    const rows = entries
+      .map((a) => {
+        const user = safeText(a.user_name) || (a.user_id ? userName(this._hass, a.user_id) : "") || this._t("card.someone");
+        const item = items.get(periodKeyBase(a.key));
+        const goal = goals.get(periodKeyBase(a.key));
+        const delta = clampInt(a.delta);
+        let what = safeText(a.key);
+        if (item) what = this._t(delta < 0 ? "card.activity_unchecked" : "card.activity_checked", { item: item.label });
+        else if (goal) what = this._t("card.activity_goal", { delta: delta > 0 ? `+${delta}` : `${delta}`, goal: goal.name });
+        return `
+          <div class="actrow" data-key="${escapeHtml(`${a.key}|${a.changed_at}`)}">
+            <span><b>${escapeHtml(user)}</b> ${escapeHtml(what)}</span>
+            <span class="muted">${formatLocalDateTime(new Date(a.changed_at), locale)}</span>
+          </div>
+        `;
+      })
+      .join("");
+    return `
+      <div class="panel">
+        <div class="sectionRow">
+          <div class="sectionTitle">${this._t("card.activity")}</div>
+        </div>
+        ${rows}
+      </div>
+    `;
   }
 
   _render() {
     const title = safeText(this._config?.title || "").trim();
     const goals = this._goals || [];
     const checklist = this._checklist || [];
-    const counts = this._counts || {};
+    const counts = { ...this._counts };
+    for (const g of goals) {
+      if (g.entity) counts[g.id] = this._entityValue(g);
+    }
     const checks = this._checks || {};
+    const cardSteps = normalizeSteps(this._config?.steps) || normalizeSteps(DEFAULT_STEPS);
+    const pace = normalizePace(this._config);
+    const days = paceDays(pace.window);
+    const workdays = normalizeWorkdays(this._config);
+    const isWorkDay = makeWorkDayTest(workdayEntityRules(workdays, this._hass?.states?.[workdays.entity]), this._holidays);
+    const today = startOfToday();
+    const chart = normalizeChart(this._config);
+    const expanded = this._expanded || new Set();
 
     const css = `
       :host{ display:block; }
       .card{ padding: 12px 16px 14px; }
       .title{ font-size: 16px; font-weight: 600; margin: 0 0 10px; }
+      .topbar{ display:flex; justify-content: space-between; align-items: flex-start; gap: 8px; }
+      .topbar .title:empty{ margin: 0; }
+      button.menuBtn{ height: 28px; min-width: 28px; padding: 0 6px; border: 0; background: none; color: var(--secondary-text-color); font-size: 18px; line-height: 1; }
+      .menu{ display:flex; justify-content: flex-end; flex-wrap: wrap; gap: 8px; margin: -4px 0 8px; }
+      .toast{ position: sticky; bottom: 8px; z-index: 1; display:flex; justify-content: space-between; align-items: center; gap: 12px; margin-top: 12px; padding: 6px 6px 6px 12px; border-radius: 10px; background: var(--primary-text-color); color: var(--card-background-color); font-size: 13px; }
+      .confirm{ display:flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 8px 12px; margin-top: 10px; padding: 8px 12px; border-radius: 10px; border: 1px solid var(--warning-color); font-size: 13px; }
+      .confirmBtns{ display:flex; gap: 8px; }
+      .toast button{ border: 0; background: none; color: var(--primary-color); font-weight: 700; }
       .muted{ color: var(--secondary-text-color); font-size: 12px; }
       .err{ color: var(--error-color); font-size: 12px; margin-top: 8px; }
+      .warn{ color: var(--warning-color); font-size: 12px; margin-top: 4px; }
 
       .sectionRow{ display:flex; justify-content: space-between; align-items: baseline; margin-top: 12px; gap: 12px; }
       .sectionTitle{ font-size: 12px; color: var(--secondary-text-color); font-weight: 600; }
@@ -349,7 +3281,24 @@ class GoalCounterCard extends HTMLElement {
       .goal{ display: grid; grid-template-columns: 1fr auto; gap: 8px 12px; padding: 10px 0; border-top: 1px solid var(--divider-color); }
       .goal:first-of-type{ border-top: 0; }
 
+      .goal.behind{ background: rgba(var(--rgb-error-color, 219, 68, 55), .08); box-shadow: inset 3px 0 0 var(--error-color); padding-left: 8px; margin: 0 -8px; padding-right: 8px; border-radius: 6px; }
+      .badge{ padding: 1px 8px; border-radius: 999px; font-size: 11px; font-weight: 700; color: #fff; }
+      .badge.ahead, .badge.done{ background: var(--success-color, #43a047); }
+      .badge.on_track{ background: var(--info-color, #039be5); }
+      .badge.behind{ background: var(--error-color, #db4437); }
+      .warnTxt{ color: var(--warning-color); }
       .name{ font-weight: 600; }
+      .name.toggle{ cursor: pointer; }
+      .name.toggle::after{ content: " ▸"; color: var(--secondary-text-color); font-weight: 400; }
+      .name.toggle.open::after{ content: " ▾"; }
+      .chart{ grid-column: 1 / -1; }
+      .burnup{ width: 100%; height: 110px; display:block; }
+      .burnup polyline, .burnup line{ fill: none; stroke-width: 2; vector-effect: non-scaling-stroke; }
+      .burnup .act{ stroke: var(--primary-color); }
+      .burnup .tgt{ stroke: var(--secondary-text-color); stroke-dasharray: 4 3; }
+      .burnup .proj{ stroke: var(--accent-color, var(--primary-color)); stroke-dasharray: 2 3; opacity: .8; }
+      .legend{ display:flex; gap: 12px; justify-content: space-between; flex-wrap: wrap; font-size: 11px; color: var(--secondary-text-color); }
+      .legend .sw{ display:inline-block; width: 14px; height: 0; border-top: 2px solid; vertical-align: middle; margin-right: 4px; }
       .nums{ display:flex; gap: 10px; justify-content: flex-end; align-items: center; flex-wrap: wrap; font-size: 12px; color: var(--secondary-text-color); }
       .nums b{ color: var(--primary-text-color); font-weight: 700; }
       .nums span{ white-space: nowrap; }
@@ -360,13 +3309,41 @@ class GoalCounterCard extends HTMLElement {
       .mid{ min-width: 74px; text-align: center; font-weight: 700; }
 
       .chk{ padding: 10px 0; border-top: 1px solid var(--divider-color); }
-      .chk:first-of-type{ border-top: 0; }
+      .chk:first-child{ border-top: 0; }
+      .chk.sub{ margin-left: 12px; }
       .chklabel{ display:flex; align-items:center; gap: 10px; cursor: pointer; user-select: none; }
       .chklabel input{ width: 18px; height: 18px; accent-color: var(--primary-color); }
       .chklabel input:disabled{ opacity: .6; cursor: not-allowed; }
       .chktext{ font-weight: 600; }
 
-      .searchWrap{ margin-top: 10px; }
+      .grphead{ display:flex; justify-content: space-between; align-items: baseline; gap: 12px; padding: 10px 0; border-top: 1px solid var(--divider-color); cursor: pointer; user-select: none; }
+      .grphead:first-child{ border-top: 0; }
+      .grpname{ font-weight: 700; }
+      .grpname::before{ content: "▸ "; color: var(--secondary-text-color); }
+      .grphead.open .grpname::before{ content: "▾ "; }
+      .grpnums{ font-size: 12px; color: var(--secondary-text-color); }
+      .grpnums b{ color: var(--primary-text-color); }
+      .grpnums.complete b{ color: var(--success-color, #43a047); }
+
+      .chklist.windowed{ overflow-y: auto; }
+      .chklist.windowed > *{ box-sizing: border-box; overflow: hidden; }
+      .chklist.windowed .chklabel{ min-width: 0; }
+      .chklist.windowed .chktext, .chklist.windowed .grpname{ min-width: 0; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+      .chklist.windowed .chkmeta{ display: block; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+      .chklist.windowed .chkmeta > span{ margin-right: 12px; }
+
+      .chkmeta{ display:flex; flex-wrap: wrap; gap: 2px 12px; margin: 2px 0 0 28px; font-size: 12px; color: var(--secondary-text-color); }
+      .chk.overdue{ box-shadow: inset 3px 0 0 var(--error-color); padding-left: 8px; }
+      .overdueTxt{ color: var(--error-color); font-weight: 600; }
+
+      .actrow{ display:flex; justify-content: space-between; gap: 12px; padding: 6px 0; border-top: 1px solid var(--divider-color); font-size: 13px; }
+      .actrow:first-of-type{ border-top: 0; }
+      .actrow .muted{ white-space: nowrap; }
+
+      .searchWrap{ margin-top: 10px; display:flex; gap: 10px; align-items: center; }
+      .mine{ display:flex; align-items: center; gap: 6px; font-size: 12px; color: var(--secondary-text-color); white-space: nowrap; }
+      .matches{ font-size: 12px; color: var(--secondary-text-color); white-space: nowrap; }
+      select.search{ width: auto; }
       .search{ width: 100%; height: 34px; box-sizing:border-box; padding: 6px 10px; border-radius: 10px; border: 1px solid var(--divider-color); background: var(--card-background-color); color: var(--primary-text-color); }
 
       @media (max-width: 520px){
@@ -378,111 +3355,302 @@ class GoalCounterCard extends HTMLElement {
       }
     `;
 
-    const header = title ? `<div class="title">${title}</div>` : "";
+    const undoCount = (this._undoStack || []).length;
+    const menu = this._menuOpen
+      ? `
+        <div class="menu">
+          ${undoCount ? `<button id="menu_undo" ${this._undoBlocked() ? "disabled" : ""}>${this._t("card.undo_last", { count: undoCount })}</button>` : ""}
+          ${
+            checklist.length
+              ? `
+                <button data-bulk="check">${this._t("card.check_visible")}</button>
+                <button data-bulk="uncheck">${this._t("card.uncheck_visible")}</button>
+                <button data-bulk="reset">${this._t("card.reset_checklist")}</button>
+              `
+              : ""
+          }
+          <button id="menu_export">${this._t("card.export")}</button>
+        </div>
+      `
+      : "";
+    const toast = this._toast
+      ? `
+        <div class="toast">
+          <span>${escapeHtml(this._describeUndo(this._toast))}</span>
+          <button id="undo_btn" ${this._undoBlocked() ? "disabled" : ""}>${this._t("card.undo")}</button>
+        </div>
+      `
+      : "";
+    const storageKind = this._store().kind;
+    const header = `
+      <div class="topbar">
+        <div class="title">${escapeHtml(title)}</div>
+        <button id="menu_btn" class="menuBtn" title="${this._t("card.menu")}">⋮</button>
+      </div>
+      ${menu}
+      ${storageKind !== "ws" ? `<div class="muted">${this._t(`card.storage_${storageKind}`)}</div>` : ""}
+    `;
 
-    const emptyGoals = !goals.length ? `<div class="muted">Tilføj mindst ét goal i editoren.</div>` : "";
-    const emptyChecklist = !checklist.length ? `<div class="muted">Tilføj punkter i editoren.</div>` : "";
+    const locale = resolveLocaleTag(this._config, this._hass);
+    const emptyGoals = !goals.length ? `<div class="muted">${this._t("card.empty_goals")}</div>` : "";
+    const emptyChecklist = !checklist.length ? `<div class="muted">${this._t("card.empty_checklist")}</div>` : "";
 
     const rows = goals
       .map((g) => {
         const cur = clampInt(counts[g.id]);
         const target = clampInt(g.target);
         const missing = Math.max(0, target - cur);
-        const avg = clampFloat(g.avg_per_day);
+        const planned = clampFloat(g.avg_per_day);
+        const measured = measuredPace(this._history?.[g.id], days, isWorkDay);
+        const avg = pace.eta === "measured" && measured != null ? measured : planned;
+        // Both pace and days left are in working days; the date skips the rest.
         const daysLeft = avg > 0 ? Math.ceil(missing / avg) : null;
-        const etaDate =
-          daysLeft == null
-            ? ""
-            : (() => {
-                const d = new Date();
-                d.setHours(0, 0, 0, 0);
-                d.setDate(d.getDate() + Math.max(0, daysLeft));
-                return formatLocalDate(d);
-              })();
-        const disabled = this._loading;
+        const eta = daysLeft == null ? null : addWorkingDays(today, daysLeft, isWorkDay);
+        const etaDate = eta ? formatLocalDate(eta, locale) : "";
+        const calendarDaysLeft = eta ? daysBetween(today, eta) : 0;
+        const chartPace = calendarDaysLeft > 0 ? missing / calendarDaysLeft : avg;
+        const due = parseDayKey(g.due_date);
+        const dueDays = due ? workingDaysUntil(today, due, isWorkDay) : 0;
+        const required = due && dueDays > 0 ? missing / dueDays : null;
+        const status = due ? deadlineStatus(missing, avg, required) : null;
+        const dueInfo = due
+          ? `
+              <span>${this._t("card.due")}: <b>${formatLocalDate(due, locale)}</b></span>
+              <span>${this._t("card.required_per_day")}: <b>${required == null ? "-" : formatNumber(required, locale)}</b></span>
+              <span class="badge ${status}">${this._t(`card.status_${status}`)}</span>
+            `
+          : "";
+        const entityMissing = g.entity && counts[g.id] == null;
+        const last = this._lastPeriod?.[g.id];
+        const disabled = g.entity ? entityMissing || !isWritableEntity(g.entity) : this._loading;
+        const steps = g.steps || cardSteps;
+        const stepButton = (st) =>
+          `<button data-id="${escapeHtml(g.id)}" data-delta="${st.delta}" ${disabled ? "disabled" : ""}>${escapeHtml(st.label)}</button>`;
+        const minusButtons = steps.filter((st) => st.delta < 0).map(stepButton).join("");
+        const plusButtons = steps.filter((st) => st.delta > 0).map(stepButton).join("");
+        const open = chart.enabled && expanded.has(g.id);
+        const cDays = open ? chartDays(chart.days) : [];
+        const chartBlock = open
+          ? `
+            <div class="chart">
+              ${renderBurnupSvg(buildBurnupSeries(cur, this._history?.[g.id], cDays), target, chartPace)}
+              <div class="legend">
+                <span>${formatLocalDate(addDays(startOfToday(), 1 - cDays.length), locale)}</span>
+                <span><i class="sw" style="color: var(--primary-color)"></i>${this._t("card.chart_actual")}</span>
+                <span><i class="sw" style="color: var(--secondary-text-color)"></i>${this._t("card.chart_target")}</span>
+                <span><i class="sw" style="color: var(--accent-color, var(--primary-color))"></i>${this._t("card.chart_projection")}</span>
+                <span>${daysLeft == null ? formatLocalDate(startOfToday(), locale) : etaDate}</span>
+              </div>
+            </div>
+          `
+          : "";
+        const nameClass = chart.enabled ? `name toggle${open ? " open" : ""}` : "name";
 
         return `
-          <div class="goal">
-            <div class="name">${safeText(g.name)}</div>
+          <div class="goal${status === "behind" ? " behind" : ""}" data-key="${escapeHtml(g.id)}">
+            <div class="${nameClass}" data-toggle-goal="${escapeHtml(g.id)}">${escapeHtml(g.name)}</div>
             <div class="nums">
-              <span>Mål: <b>${target}</b></span>
-              <span>Manglende: <b>${missing}</b></span>
-              <span>Dage: <b>${daysLeft == null ? "-" : daysLeft}</b></span>
-              <span>Dato: <b>${daysLeft == null ? "-" : etaDate}</b></span>
+              <span>${this._t("card.target")}: <b>${target}</b></span>
+              <span>${this._t("card.missing")}: <b>${missing}</b></span>
+              <span>${this._t("card.days")}: <b>${daysLeft == null ? "-" : daysLeft}</b></span>
+              <span>${this._t("card.date")}: <b>${daysLeft == null ? "-" : etaDate}</b></span>
+              <span>${this._t("card.per_day")}: <b>${planned > 0 ? formatNumber(planned, locale) : "-"}</b></span>
+              <span>${this._t("card.measured_per_day")}: <b>${measured == null ? "-" : formatNumber(measured, locale)}</b></span>
+              ${
+                last
+                  ? `<span>${this._t("card.last_period", { period: this._periodName(g.reset, last.start, locale) })}: <b>${clampInt(last.value)}</b></span>`
+                  : ""
+              }
+              ${dueInfo}
+              ${entityMissing ? `<span class="warnTxt">${escapeHtml(this._t("card.entity_unavailable", { entity: g.entity }))}</span>` : ""}
             </div>
 
             <div class="controls">
-              <button data-id="${g.id}" data-delta="-1" ${disabled ? "disabled" : ""}>-</button>
+              ${minusButtons}
               <div class="mid">${cur}</div>
-              <button data-id="${g.id}" data-delta="1" ${disabled ? "disabled" : ""}>+</button>
-              <button data-id="${g.id}" data-delta="9" ${disabled ? "disabled" : ""}>+9</button>
-              <button data-id="${g.id}" data-delta="18" ${disabled ? "disabled" : ""}>+18</button>
+              ${plusButtons}
             </div>
+            ${chartBlock}
           </div>
         `;
       })
       .join("");
 
-    const checklistRows = checklist
-      .map((it) => {
-        const disabled = this._busy || this._loading;
-        const checked = !!checks[it.id];
+    const checkKey = this._checkKeys();
+    const checkRow = (it, sub, height) => {
+      const disabled = this._loading || this._busyChecks().has(it.id);
+      const checked = !!checks[it.id];
+      const due = parseDayKey(it.due_date);
+      const overdue = !checked && due && due < today;
+      const checkedBy = this._describeMeta(this._meta?.[checkKey(it.id)], locale);
+      const meta = [
+        it.notes ? { text: it.notes } : null,
+        due ? { text: `${this._t("card.due")}: ${formatLocalDate(due, locale)}`, cls: overdue ? "overdueTxt" : "" } : null,
+        it.assignee ? { text: `@${userName(this._hass, it.assignee)}` } : null,
+        checked && checkedBy ? { text: checkedBy } : null,
+      ].filter(Boolean);
+      // Windowed rows have a fixed height, so long text is cut off with an ellipsis and kept whole in the tooltip.
+      const tip = (text) => (height ? `title="${escapeHtml(text)}"` : "");
+      return `
+        <div class="chk ${overdue ? "overdue" : ""} ${sub ? "sub" : ""}" data-key="${escapeHtml(it.id)}" ${height ? `style="height: ${height}px"` : ""}>
+          <label class="chklabel">
+            <input type="checkbox" data-check-id="${escapeHtml(it.id)}" ${checked ? "checked" : ""} ${disabled ? "disabled" : ""} />
+            <span class="chktext" ${tip(it.label)}>${escapeHtml(it.label)}</span>
+          </label>
+          ${
+            meta.length
+              ? `<div class="chkmeta" ${tip(meta.map((m) => m.text).join(" · "))}>${meta
+                  .map((m) => `<span class="${m.cls || ""}">${escapeHtml(m.text)}</span>`)
+                  .join("")}</div>`
+              : ""
+          }
+        </div>
+      `;
+    };
+    // Groups and their rows are laid out as one flat list of lines so it can be windowed.
+    // While filtering, groups open up to show their matches and empty ones are left out.
+    const checkState = CHECK_STATES.includes(this._checkState) ? this._checkState : "all";
+    const filtering = !!safeText(this._checkFilter).trim() || checkState !== "all" || !!this._onlyMine;
+    const matches = checklist.filter(
+      checklistMatcher(
+        { query: this._checkFilter, state: checkState, assignee: this._onlyMine ? safeText(this._hass?.user?.id) : null },
+        checks
+      )
+    );
+    const matchIds = new Set(matches.map((it) => it.id));
+    const groups = groupChecklist(checklist);
+    const grouped = !(groups.length === 1 && !groups[0].name);
+    const collapsed = this._collapsedGroups();
+    const lines = [];
+    for (const { name, items } of groups) {
+      const shown = items.filter((it) => matchIds.has(it.id));
+      if (filtering && !shown.length) continue;
+      const open = filtering || !collapsed.has(name);
+      if (grouped) lines.push({ head: { name, items, open } });
+      if (open) for (const it of shown) lines.push({ item: it });
+    }
+    // Bulk actions cover the rows in the list, not the ones hidden in collapsed groups.
+    this._visibleCheckIds = lines.filter((line) => line.item).map((line) => line.item.id);
+    const windowed = lines.length > CHECKLIST_WINDOW_MIN;
+    const heights = lines.map(({ item: it }) => {
+      if (!it) return CHECKLIST_ROW_HEIGHTS.head;
+      const hasMeta = it.notes || it.due_date || it.assignee || (checks[it.id] && this._meta?.[checkKey(it.id)]);
+      return hasMeta ? CHECKLIST_ROW_HEIGHTS.meta : CHECKLIST_ROW_HEIGHTS.item;
+    });
+    const scrollTop = this._root.querySelector(".chklist")?.scrollTop || 0;
+    const win = windowed
+      ? visibleWindow(heights, scrollTop, CHECKLIST_VIEWPORT, CHECKLIST_OVERSCAN)
+      : { start: 0, end: lines.length, before: 0, after: 0 };
+    this._checkWindow = { heights: windowed ? heights : null, start: win.start, end: win.end };
+    const lineRows = lines
+      .slice(win.start, win.end)
+      .map(({ head, item }, i) => {
+        const height = windowed ? heights[win.start + i] : 0;
+        if (item) return checkRow(item, grouped, height);
+        const done = head.items.reduce((acc, it) => acc + (checks[it.id] ? 1 : 0), 0);
         return `
-          <div class="chk">
-            <label class="chklabel">
-              <input type="checkbox" data-check-id="${it.id}" ${checked ? "checked" : ""} ${disabled ? "disabled" : ""} />
-              <span class="chktext">${safeText(it.label)}</span>
-            </label>
+          <div class="grphead ${head.open ? "open" : ""}" data-key="group:${escapeHtml(head.name)}" data-toggle-group="${escapeHtml(head.name)}" ${height ? `style="height: ${height}px"` : ""}>
+            <span class="grpname" ${height && head.name ? `title="${escapeHtml(head.name)}"` : ""}>${head.name ? escapeHtml(head.name) : this._t("card.ungrouped")}</span>
+            <span class="grpnums ${done === head.items.length ? "complete" : ""}"><b>${done}</b>/${head.items.length}</span>
           </div>
         `;
       })
       .join("");
+    const checklistRows = checklist.length
+      ? `
+        <div class="chklist ${windowed ? "windowed" : ""}" ${windowed ? `style="max-height: ${CHECKLIST_VIEWPORT}px"` : ""}>
+          ${windowed ? `<div data-key="pad:before" style="height: ${win.before}px"></div>` : ""}
+          ${lineRows}
+          ${windowed ? `<div data-key="pad:after" style="height: ${win.after}px"></div>` : ""}
+        </div>
+        ${matches.length ? "" : `<div class="muted">${this._t("card.no_matches")}</div>`}
+      `
+      : "";
+
+    const bulk = this._bulk;
+    const bulkCount = bulk ? bulk.ids.filter((id) => !!checks[id] !== (bulk.action === "check")).length : 0;
+    const bulkConfirm = bulk
+      ? `
+        <div class="confirm">
+          <span>${this._t(`card.confirm_${bulk.action}`, { count: bulkCount })}</span>
+          <span class="confirmBtns">
+            <button id="bulk_cancel">${this._t("card.cancel")}</button>
+            <button id="bulk_confirm" ${bulkCount ? "" : "disabled"}>${this._t("card.confirm")}</button>
+          </span>
+        </div>
+      `
+      : "";
 
+    const hasAssignees = checklist.some((it) => it.assignee);
     const checklistSearch = checklist.length
       ? `
         <div class="searchWrap">
-          <input id="check_filter" class="search" type="search" placeholder="Søg i checklisten…" value="${safeText(this._checkFilter || "")}" />
+          <input id="check_filter" class="search" type="search" placeholder="${this._t("card.search")}" value="${escapeHtml(this._checkFilter)}" />
+          <select id="check_state" class="search">
+            ${CHECK_STATES.map((s) => `<option value="${s}" ${s === checkState ? "selected" : ""}>${this._t(`card.filter_${s}`)}</option>`).join("")}
+          </select>
+          <span class="matches">${this._t("card.matches", { count: matches.length, total: checklist.length })}</span>
+          ${
+            hasAssignees
+              ? `<label class="mine"><input id="check_mine" type="checkbox" ${this._onlyMine ? "checked" : ""} /> ${this._t("card.only_mine")}</label>`
+              : ""
+          }
         </div>
       `
       : "";
 
-    const status = this._loading ? `<div class="muted">Indlæser…</div>` : "";
-    const err = this._error ? `<div class="err">${safeText(this._error)}</div>` : "";
+    const status = this._loading ? `<div class="muted">${this._t("card.loading")}</div>` : "";
+    const unsavedCount = this._unsavedGoalCount();
+    const unsaved = unsavedCount ? `<div class="warn">${this._t("card.unsaved", { count: unsavedCount })}</div>` : "";
+    const errors = [this._error, this._entityError, this._triggerError].filter(Boolean);
+    const err = errors.length ? `<div class="err">${errors.map((m) => `<div>${escapeHtml(m)}</div>`).join("")}</div>` : "";
+    const problems = describeConfigProblems(this._configProblems || [], this._lang());
+    const configErr = problems.length ? `<div class="err">${problems.map((p) => `<div>${escapeHtml(p)}</div>`).join("")}</div>` : "";
 
     const goalsHeader = `
       <div class="sectionRow">
-        <div class="sectionTitle">Goals</div>
+        <div class="sectionTitle">${this._t("card.goals")}</div>
       </div>
     `;
 
-    const totalItems = checklist.length;
-    const doneItems = checklist.reduce((acc, it) => acc + (checks[it.id] ? 1 : 0), 0);
+    const { produced, remaining, readySets, doneItems, totalItems } = computeDelivery(
+      goals,
+      checklist,
+      counts,
+      checks,
+      normalizeDelivery(this._config?.delivery)
+    );
     const remainingItems = Math.max(0, totalItems - doneItems);
-
-    const totalGoalCount = goals.reduce((acc, g) => acc + clampInt(counts[g.id]), 0);
-    // Each checked checklist item represents one delivered 60-set.
-    const deliveredCount = doneItems * 60;
-    const adjustedGoalCount = Math.max(0, totalGoalCount - deliveredCount);
-    const full60Sets = Math.floor(adjustedGoalCount / 60);
     const checklistHeader = `
       <div class="sectionRow">
-        <div class="sectionTitle">Checkliste</div>
+        <div class="sectionTitle">${this._t("card.checklist")}</div>
         <div class="sectionNums">
-          <span>Antal lavet i alt: <b>${totalGoalCount}</b></span>
-          <span>Antal tilbage: <b>${adjustedGoalCount}</b></span>
-          <span>Sæt klar til levering: <b>${full60Sets}</b></span>
-          <span>Fuldført: <b>${doneItems}/${totalItems}</b></span>
-          <span>Mangler: <b>${remainingItems}</b></span>
+          <span>${this._t("card.produced")}: <b>${produced}</b></span>
+          <span>${this._t("card.remaining")}: <b>${remaining}</b></span>
+          <span>${this._t("card.ready_sets")}: <b>${readySets}</b></span>
+          <span>${this._t("card.done")}: <b>${doneItems}/${totalItems}</b></span>
+          <span>${this._t("card.left")}: <b>${remainingItems}</b></span>
+          ${
+            this._lastChecks
+              ? `<span>${this._t("card.last_period", {
+                  period: this._periodName(normalizeReset(this._config?.checklist_reset), this._lastChecks.start, locale),
+                })}: <b>${this._lastChecks.done}/${totalItems}</b></span>`
+              : ""
+          }
         </div>
       </div>
     `;
 
-    this._root.innerHTML = `
+    morphChildren(
+      this._root,
+      `
       <ha-card>
         <style>${css}</style>
         <div class="card">
           ${header}
+          ${configErr}
           ${status}
+          ${unsaved}
           <div class="panel">
             ${goalsHeader}
             ${emptyGoals}
@@ -491,14 +3659,23 @@ class GoalCounterCard extends HTMLElement {
 
           <div class="panel">
             ${checklistHeader}
+            ${bulkConfirm}
             ${checklistSearch}
             ${emptyChecklist}
             ${checklistRows}
           </div>
+          ${this._renderActivity(locale)}
           ${err}
+          ${toast}
         </div>
       </ha-card>
-    `;
+    `
+    );
+
+    // Nodes survive re-renders, so handlers are (re)assigned or cleared every time.
+    for (const n of this._root.querySelectorAll(".name[data-toggle-goal]")) {
+      n.onclick = chart.enabled ? (e) => this._toggleGoalChart(e.currentTarget.getAttribute("data-toggle-goal") || "") : null;
+    }
 
     const btns = this._root.querySelectorAll("button[data-id][data-delta]");
     for (const b of btns) {
@@ -510,6 +3687,10 @@ class GoalCounterCard extends HTMLElement {
       };
     }
 
+    for (const h of this._root.querySelectorAll(".grphead[data-toggle-group]")) {
+      h.onclick = (e) => this._toggleGroup(e.currentTarget.getAttribute("data-toggle-group") || "");
+    }
+
     const chkInputs = this._root.querySelectorAll("input[type=checkbox][data-check-id]");
     for (const c of chkInputs) {
       c.onchange = (e) => {
@@ -520,14 +3701,79 @@ class GoalCounterCard extends HTMLElement {
       };
     }
 
+    const menuBtn = this._root.querySelector("#menu_btn");
+    if (menuBtn) {
+      menuBtn.onclick = () => {
+        this._menuOpen = !this._menuOpen;
+        this._render();
+      };
+    }
+    const menuUndoBtn = this._root.querySelector("#menu_undo");
+    if (menuUndoBtn) menuUndoBtn.onclick = () => this._undoLast();
+    const undoBtn = this._root.querySelector("#undo_btn");
+    if (undoBtn) undoBtn.onclick = () => this._undoLast();
+    for (const b of this._root.querySelectorAll("button[data-bulk]")) {
+      b.onclick = (e) => this._confirmBulk(e.currentTarget.getAttribute("data-bulk") || "");
+    }
+    const bulkCancelBtn = this._root.querySelector("#bulk_cancel");
+    if (bulkCancelBtn) {
+      bulkCancelBtn.onclick = () => {
+        this._bulk = null;
+        this._render();
+      };
+    }
+    const bulkConfirmBtn = this._root.querySelector("#bulk_confirm");
+    if (bulkConfirmBtn) bulkConfirmBtn.onclick = () => this._runBulk();
+
+    const exportBtn = this._root.querySelector("#menu_export");
+    if (exportBtn) {
+      exportBtn.onclick = () => {
+        this._menuOpen = false;
+        this._render();
+        this._export();
+      };
+    }
+
+    const listEl = this._root.querySelector(".chklist");
+    if (listEl) {
+      // Only re-render once the scroll brings rows outside the current window into view.
+      listEl.onscroll = this._checkWindow.heights
+        ? () => {
+            if (this._scrollFrame) return;
+            this._scrollFrame = requestAnimationFrame(() => {
+              this._scrollFrame = 0;
+              const cur = this._checkWindow;
+              if (!cur.heights) return;
+              const next = visibleWindow(cur.heights, listEl.scrollTop, CHECKLIST_VIEWPORT, CHECKLIST_OVERSCAN);
+              if (next.start !== cur.start || next.end !== cur.end) this._render();
+            });
+          }
+        : null;
+    }
+    const refilter = () => {
+      if (listEl) listEl.scrollTop = 0;
+      this._render();
+    };
     const filterEl = this._root.querySelector("#check_filter");
     if (filterEl) {
-      // Avoid re-rendering on each keystroke; just hide/show rows.
       filterEl.oninput = (e) => {
         this._checkFilter = e.target.value;
-        this._applyChecklistFilter();
+        refilter();
+      };
+    }
+    const stateEl = this._root.querySelector("#check_state");
+    if (stateEl) {
+      stateEl.onchange = (e) => {
+        this._checkState = e.target.value;
+        refilter();
+      };
+    }
+    const mineEl = this._root.querySelector("#check_mine");
+    if (mineEl) {
+      mineEl.onchange = (e) => {
+        this._onlyMine = !!e.target.checked;
+        refilter();
       };
-      this._applyChecklistFilter();
     }
   }
 }
@@ -535,11 +3781,12 @@ class GoalCounterCard extends HTMLElement {
 customElements.define("goal-counter-card", GoalCounterCard);
 
 class GoalCounterCardEditor extends HTMLElement {
+  // Old configs are upgraded on the way in; the next config-changed saves the new shape.
   setConfig(config) {
-    const next = config || {};
-    const nextSig = JSON.stringify(next);
+    const next = migrateConfig(config || {});
+    const nextSig = JSON.stringify(config || {});
     if (this._lastConfigSig === nextSig && this._root) {
-      // Avoid re-render loops that steal focus.
+      // Our own config-changed coming back; nothing new to show.
       this._config = next;
       this._goals = normalizeGoals(this._config.goals);
       this._checklist = normalizeChecklist(this._config.checklist);
@@ -554,15 +3801,36 @@ class GoalCounterCardEditor extends HTMLElement {
   }
 
   set hass(hass) {
+    const prevSig = this._root ? this._hassSignature() : null;
     this._hass = hass;
-    // Don't re-render on hass updates; HA calls this frequently in the UI editor
-    // and it will steal focus/selection from text inputs.
+    // HA sets hass on every state change; only the language and the entity/user pickers
+    // depend on it.
+    if (prevSig && prevSig !== this._hassSignature()) this._render();
+  }
+
+  _hassSignature() {
+    const ids = Object.keys(this._hass?.states || {}).filter(
+      (id) =>
+        id.startsWith("calendar.") ||
+        id.startsWith("person.") ||
+        BINDABLE_ENTITY_DOMAINS.includes(entityDomain(id)) ||
+        isWorkdayEntity(this._hass.states[id])
+    );
+    return JSON.stringify([this._lang(), ids, assignableUsers(this._hass)]);
   }
 
   _initRoot() {
     this._root = this.attachShadow({ mode: "open" });
   }
 
+  _lang() {
+    return resolveLanguage(this._config, this._hass);
+  }
+
+  _t(key, vars) {
+    return localize(this._lang(), key, vars);
+  }
+
   _emitChange() {
     this.dispatchEvent(
       new CustomEvent("config-changed", {
@@ -573,16 +3841,76 @@ class GoalCounterCardEditor extends HTMLElement {
     );
   }
 
+  _setLanguage(v, emit = false, rerender = false) {
+    const next = { ...this._config };
+    const lang = safeText(v).trim();
+    if (lang) next.language = lang;
+    else delete next.language;
+    this._config = next;
+    if (emit) this._emitChange();
+    if (rerender) this._render();
+  }
+
+  _setOption(key, value, emit = false, rerender = false) {
+    const next = { ...this._config };
+    if (value == null || value === "") delete next[key];
+    else next[key] = value;
+    this._config = next;
+    if (emit) this._emitChange();
+    if (rerender) this._render();
+  }
+
   _setTitle(v, emit = false, rerender = false) {
     this._config = { ...this._config, title: safeText(v) };
     if (emit) this._emitChange();
     if (rerender) this._render();
   }
 
+  _setSteps(v, emit = false, rerender = false) {
+    const steps = serializeSteps(parseStepsText(v));
+    const next = { ...this._config };
+    if (steps) next.steps = steps;
+    else delete next.steps;
+    this._config = next;
+    if (emit) this._emitChange();
+    if (rerender) this._render();
+  }
+
+  _setWorkdays(workdays, emit = false, rerender = false) {
+    const next = { ...this._config };
+    delete next.working_days;
+    delete next.excluded_dates;
+    delete next.holiday_calendar;
+    delete next.workday_entity;
+    this._config = { ...next, ...workdaysToConfig(workdays) };
+    if (emit) this._emitChange();
+    if (rerender) this._render();
+  }
+
+  _setAutomation(automation, emit = false, rerender = false) {
+    const next = { ...this._config };
+    const cfg = automationToConfig(automation);
+    if (cfg) next.automation = cfg;
+    else delete next.automation;
+    this._config = next;
+    if (emit) this._emitChange();
+    if (rerender) this._render();
+  }
+
+  _setDelivery(delivery, emit = false, rerender = false) {
+    const next = { ...this._config };
+    const cfg = deliveryToConfig(delivery);
+    if (cfg) next.delivery = cfg;
+    else delete next.delivery;
+    this._config = next;
+    if (emit) this._emitChange();
+    if (rerender) this._render();
+  }
+
   _setGoals(goals, emit = false, rerender = false) {
     this._config = {
       ...this._config,
-      goals: goals.map((g) => ({ id: g.id, name: g.name, target: g.target, avg_per_day: g.avg_per_day })),
+      goals: goals.map(goalToConfig),
     };
     this._goals = normalizeGoals(this._config.goals);
     if (emit) this._emitChange();
@@ -592,75 +3920,224 @@ class GoalCounterCardEditor extends HTMLElement {
   _setChecklist(items, emit = false, rerender = false) {
     this._config = {
       ...this._config,
-      checklist: items.map((it) => ({ id: it.id, label: it.label })),
+      checklist: items.map(checklistItemToConfig),
     };
     this._checklist = normalizeChecklist(this._config.checklist);
     if (emit) this._emitChange();
     if (rerender) this._render();
   }
 
+  // The editor has no preview flag of its own; it reads and writes the configured store.
+  _editorStore(prefix) {
+    return namespacedStore(createStorage(resolveStorageKind(this._config, this._hass, false), () => this._hass), prefix);
+  }
+
+  // Looks for values under this config's plain keys that the namespace does not have yet.
+  async _scanMigration() {
+    const prefix = storagePrefix(this._config, this._hass);
+    this._migration = null;
+    this._migrationNote = "";
+    if (!prefix) return;
+    try {
+      const configKeys = configStorageKeys(this._config);
+      const [{ values, errors }, { values: current }] = await Promise.all([
+        this._editorStore("").getMany(configKeys),
+        this._editorStore(prefix).getMany(configKeys),
+      ]);
+      const failed = describeKeyErrors(errors, this._lang());
+      if (failed) throw new Error(failed);
+      const keys = Object.keys(values).filter((k) => values[k] !== 0 && !clampInt(current[k]));
+      if (keys.length) this._migration = { prefix, keys };
+      else this._migrationNote = this._t("editor.migrate_none");
+    } catch (e) {
+      this._migrationNote = errorText(e);
+    }
+    this._render();
+  }
+
+  // Copies, never moves: the namespace is not saved until the dialog is, and other cards
+  // may still use the plain keys. Only namespaced keys that are still empty are filled, so
+  // running it again neither counts twice nor overwrites what the namespace has since.
+  async _runMigration() {
+    const migration = this._migration;
+    this._migration = null;
+    if (!migration) return;
+    try {
+      const target = this._editorStore(migration.prefix);
+      const [{ values }, { values: current }] = await Promise.all([
+        this._editorStore("").getMany(migration.keys),
+        target.getMany(migration.keys),
+      ]);
+      const copies = migration.keys
+        .filter((key) => values[key] && !clampInt(current[key]))
+        .map((key) => ({ key, delta: values[key] }));
+      const added = copies.length ? await target.setMany(copies, changeMeta(this._hass)) : { values: {}, errors: {} };
+      const copied = copies.filter(({ key }) => key in added.values);
+      this._migrationNote = [
+        this._t("editor.migrate_done", { count: copied.length, namespace: migration.prefix }),
+        describeKeyErrors(added.errors, this._lang()),
+      ]
+        .filter(Boolean)
+        .join(" ");
+    } catch (e) {
+      this._migrationNote = errorText(e);
+    }
+    this._render();
+  }
+
+  // The editor has no live values, so read them fresh before exporting.
+  async _exportFile() {
+    this._importError = "";
+    try {
+      const goals = normalizeGoals(this._config?.goals);
+      const checklist = normalizeChecklist(this._config?.checklist);
+      const suffix = periodKey("", normalizeReset(this._config?.checklist_reset));
+      const goalKey = (g) => periodKey(g.id, g.reset);
+      const checkKey = (it) => `${checklistKey(it.id)}${suffix}`;
+      const keys = [...goals.filter((g) => !g.entity).map(goalKey), ...checklist.map(checkKey)];
+      const { values, errors } = await this._editorStore(storagePrefix(this._config, this._hass)).getMany(keys);
+      const failed = describeKeyErrors(errors, this._lang());
+      if (failed) throw new Error(failed);
+      const counts = {};
+      for (const g of goals) {
+        counts[g.id] = g.entity ? entityNumber(this._hass?.states?.[g.entity]) : values[goalKey(g)];
+      }
+      const checks = {};
+      for (const it of checklist) checks[it.id] = clampInt(values[checkKey(it)]) > 0;
+      const data = [goals, checklist, counts, checks, this._lang()];
+      exportSheets(exportBaseName(this._config?.title), buildExportSheets(...data), buildExportCsv(...data));
+    } catch (e) {
+      this._importError = errorText(e);
+      this._render();
+    }
+  }
+
   async _importChecklistFile(file) {
     this._importError = "";
+    this._importDraft = null;
     if (!file) return;
 
     try {
       const name = safeText(file.name).toLowerCase();
-      let labels = [];
+      let rows = [];
 
       if (name.endsWith(".xlsx") || name.endsWith(".xls")) {
         const XLSX = window.XLSX;
         if (!XLSX || !XLSX.read || !XLSX.utils?.sheet_to_json) {
-          throw new Error(
-            "XLSX import kræver XLSX (SheetJS) library. Gem filen som CSV, eller tilføj XLSX som Lovelace resource (fx /local/xlsx.full.min.js)."
-          );
+          throw new Error(this._t("import.xlsx_missing"));
         }
 
         const buf = await file.arrayBuffer();
         const wb = XLSX.read(buf, { type: "array" });
         const firstSheetName = wb.SheetNames?.[0];
-        if (!firstSheetName) throw new Error("Ingen sheets i XLSX-filen");
+        if (!firstSheetName) throw new Error(this._t("import.no_sheets"));
         const sheet = wb.Sheets[firstSheetName];
-        const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: "" });
-        labels = (rows || [])
-          .map((r) => stripOuterQuotes(r?.[0] ?? ""))
-          .map((v) => safeText(v).trim())
-          .filter(Boolean);
-
-        const header = (labels[0] || "").toLowerCase();
-        if (["butik", "store", "navn", "name", "checkliste", "checklist"].includes(header) && labels.length > 1) {
-          labels.shift();
-        }
+        rows = (XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: "" }) || [])
+          .map((r) => (Array.isArray(r) ? r : []).map((c) => stripOuterQuotes(c)))
+          .filter((r) => r.some(Boolean));
       } else {
-        const text = await file.text();
-        labels = parseFirstColumnFromDelimitedText(text);
+        rows = parseDelimitedRows(await file.text());
       }
 
-      if (!labels.length) throw new Error("Fandt ingen punkter i filen");
+      if (!rows.length) throw new Error(this._t("import.no_items"));
+      this._importDraft = { name: safeText(file.name), rows, mapping: guessImportMapping(rows) };
+    } catch (e) {
+      this._importError = errorText(e);
+    }
+    this._render();
+  }
 
-      const curItems = normalizeChecklist(this._config?.checklist);
-      const used = new Set(curItems.map((it) => it.id));
-      const usedLabels = new Set(curItems.map((it) => safeText(it.label).trim().toLowerCase()).filter(Boolean));
+  _confirmImport() {
+    const draft = this._importDraft;
+    if (!draft) return;
+    const curItems = normalizeChecklist(this._config?.checklist);
+    const plan = planChecklistImport(curItems, draft.rows, draft.mapping);
+    if (!plan.some((p) => p.status !== "duplicate")) {
+      this._importError = this._t("import.nothing_new");
+      this._render();
+      return;
+    }
+    this._importDraft = null;
+    this._importError = "";
+    this._setChecklist(applyChecklistImport(curItems, plan), true, true);
+  }
 
-      const added = [];
-      for (const labelRaw of labels) {
-        const label = safeText(labelRaw).trim();
-        if (!label) continue;
-        const key = label.toLowerCase();
-        if (usedLabels.has(key)) continue;
-        const id = makeUniqueId(slugify(label), used);
-        used.add(id);
-        usedLabels.add(key);
-        added.push({ id, label });
-      }
+  _renderImportDraft(checklist) {
+    const draft = this._importDraft;
+    if (!draft) return "";
+    const { rows, mapping } = draft;
+    const width = Math.max(...rows.map((r) => r.length));
+    const headers = mapping.header >= 0 ? rows[mapping.header] || [] : [];
+    const colName = (idx) => safeText(headers[idx]).trim() || this._t("import.column", { n: idx + 1 });
+    const plan = planChecklistImport(checklist, rows, mapping);
+    const counts = { add: 0, update: 0, duplicate: 0 };
+    for (const p of plan) counts[p.status] += 1;
 
-      if (!added.length) throw new Error("Ingen nye punkter at tilføje (alt fandtes allerede)");
+    const headerOptions = [-1, ...rows.slice(0, 10).map((_, idx) => idx)]
+      .map(
+        (idx) =>
+          `<option value="${idx}" ${mapping.header === idx ? "selected" : ""}>${
+            idx < 0 ? this._t("import.no_header") : this._t("import.row", { n: idx + 1 })
+          }</option>`
+      )
+      .join("");
+    const fieldSelects = IMPORT_FIELDS.map(
+      (field) => `
+        <label>
+          ${this._t(`import.field.${field}`)}
+          <select data-import-field="${field}">
+            <option value="-1" ${mapping[field] < 0 ? "selected" : ""}>—</option>
+            ${Array.from({ length: width }, (_, idx) => `<option value="${idx}" ${mapping[field] === idx ? "selected" : ""}>${escapeHtml(colName(idx))}</option>`).join("")}
+          </select>
+        </label>
+      `
+    ).join("");
+    const planRows = plan
+      .slice(0, IMPORT_PREVIEW_ROWS)
+      .map(
+        (p) => `
+          <tr class="${p.status}">
+            <td>${p.row + 1}</td>
+            <td>${escapeHtml(p.item.label)}</td>
+            <td>${escapeHtml(p.item.id)}</td>
+            <td>${escapeHtml(p.item.group)}</td>
+            <td>${p.item.quantity ?? ""}</td>
+            <td>${this._t(`import.status.${p.status}`)}</td>
+          </tr>
+        `
+      )
+      .join("");
 
-      const next = [...curItems, ...added];
-      this._setChecklist(next, true, true);
-    } catch (e) {
-      this._importError = safeText(e?.message || e);
-      this._render();
-    }
+    return `
+      <div class="import">
+        <div class="hdr">${escapeHtml(this._t("import.preview", { file: draft.name }))}</div>
+        <div class="checks">
+          <label>
+            ${this._t("import.header_row")}
+            <select id="import_header">${headerOptions}</select>
+          </label>
+          ${fieldSelects}
+        </div>
+        ${
+          mapping.label < 0
+            ? `<div class="err">${this._t("import.no_label")}</div>`
+            : `<div class="hint">${this._t("import.summary", counts)}</div>
+              <table>
+                <tr>
+                  <th>#</th>
+                  ${IMPORT_FIELDS.map((field) => `<th>${this._t(`import.field.${field}`)}</th>`).join("")}
+                  <th></th>
+                </tr>
+                ${planRows}
+              </table>
+              ${plan.length > IMPORT_PREVIEW_ROWS ? `<div class="hint">${this._t("import.more", { n: plan.length - IMPORT_PREVIEW_ROWS })}</div>` : ""}`
+        }
+        <div class="row3">
+          <button id="import_cancel" class="small">${this._t("import.cancel")}</button>
+          <button id="import_confirm" class="small" ${mapping.label < 0 ? "disabled" : ""}>${this._t("import.confirm")}</button>
+        </div>
+      </div>
+    `;
   }
 
   _render() {
@@ -668,17 +4145,59 @@ class GoalCounterCardEditor extends HTMLElement {
     const goals = this._goals || [];
     const checklist = this._checklist || [];
     const importErr = safeText(this._importError || "");
+    const delivery = normalizeDelivery(this._config?.delivery);
+    const language = safeText(this._config?.language).trim();
+    const storage = resolveStorageKind(this._config, this._hass, false);
+    const migration = this._migration;
+    const problems = describeConfigProblems(validateConfig(this._config || {}), this._lang());
+    const pace = normalizePace(this._config);
+    const chart = normalizeChart(this._config);
+    const automation = normalizeAutomation(this._config?.automation);
+    const workdays = normalizeWorkdays(this._config);
+    const locale = resolveLocaleTag(this._config, this._hass);
+    const weekdayName = (idx) => {
+      try {
+        // 2024-01-07 was a Sunday.
+        return new Intl.DateTimeFormat(locale, { weekday: "short" }).format(new Date(2024, 0, 7 + idx));
+      } catch (e) {
+        return WEEKDAYS[idx];
+      }
+    };
+    const calendars = Object.keys(this._hass?.states || {}).filter((id) => id.startsWith("calendar."));
+    const workdayEntities = Object.keys(this._hass?.states || {}).filter((id) => isWorkdayEntity(this._hass.states[id]));
+    const goalEntities = Object.keys(this._hass?.states || {}).filter((id) => BINDABLE_ENTITY_DOMAINS.includes(entityDomain(id)));
 
     const css = `
       :host{ display:block; }
       .wrap{ padding: 8px 0; }
       .row{ display:grid; grid-template-columns: 1fr 110px 120px 70px; gap: 8px; align-items:center; margin-bottom: 8px; }
+      .row .steps{ grid-column: 1 / 3; }
+      .row .due{ grid-column: 3 / -1; }
+      .row .entity{ grid-column: 1 / 3; }
+      .row .milestones{ grid-column: 3 / -1; }
+      .row .reset{ grid-column: 1 / -1; }
       .hdr{ color: var(--secondary-text-color); font-size: 12px; margin: 8px 0 6px; }
-      .row2{ display:grid; grid-template-columns: 1fr 70px; gap: 8px; align-items:center; margin-bottom: 8px; }
+      .row2{ display:grid; grid-template-columns: 1fr 120px 90px 70px; gap: 8px; align-items:center; margin-bottom: 8px; }
+      .row2 .notes{ grid-column: 1 / 2; }
+      .row2 .due{ grid-column: 3 / -1; }
+      .checks{ display:flex; flex-wrap: wrap; gap: 6px 14px; margin: 4px 0 8px; }
+      .checks label{ display:flex; align-items:center; gap: 6px; font-size: 13px; }
+      .checks input{ width: 16px; height: 16px; }
+      .row4{ display:grid; grid-template-columns: 110px 1fr; gap: 8px; align-items:center; }
+      #excluded_dates, #trigger_event, #trigger_service, #checklist_reset{ margin-bottom: 8px; }
+      label.inline{ display:flex; align-items:center; gap: 8px; font-size: 13px; }
+      label.inline input{ width: 16px; height: 16px; }
       .row3{ display:grid; grid-template-columns: 1fr auto; gap: 8px; align-items:center; margin: 6px 0 10px; }
       .hint{ color: var(--secondary-text-color); font-size: 12px; margin: 4px 0 8px; }
       .err{ color: var(--error-color); font-size: 12px; margin: 6px 0 8px; }
-      input{ width:100%; height: 36px; box-sizing:border-box; padding: 6px 10px; border-radius: 10px; border: 1px solid var(--divider-color); background: var(--card-background-color); color: var(--primary-text-color); }
+      .import{ border: 1px solid var(--divider-color); border-radius: 10px; padding: 0 10px; margin: 6px 0 10px; }
+      .import .checks label{ flex: 1 1 120px; flex-direction: column; align-items: stretch; gap: 2px; }
+      .import table{ width: 100%; border-collapse: collapse; font-size: 12px; }
+      .import th, .import td{ text-align: left; padding: 2px 4px; border-bottom: 1px solid var(--divider-color); }
+      .import tr.add td:last-child{ color: var(--success-color, #2e7d32); }
+      .import tr.update td:last-child{ color: var(--warning-color, #f57c00); }
+      .import tr.duplicate{ color: var(--secondary-text-color); }
+      input, select{ width:100%; height: 36px; box-sizing:border-box; padding: 6px 10px; border-radius: 10px; border: 1px solid var(--divider-color); background: var(--card-background-color); color: var(--primary-text-color); }
       button{ height: 36px; padding: 0 10px; border-radius: 10px; border: 1px solid var(--divider-color); background: var(--card-background-color); color: var(--primary-text-color); cursor: pointer; }
       .small{ min-width: 70px; }
     `;
@@ -686,65 +4205,384 @@ class GoalCounterCardEditor extends HTMLElement {
     const goalRows = goals
       .map((g, idx) => {
         return `
-          <div class="row" data-idx="${idx}">
-            <input class="name" placeholder="Navn" value="${safeText(g.name)}" />
-            <input class="target" type="number" step="1" placeholder="Mål" value="${clampInt(g.target)}" />
-            <input class="avg" type="number" step="0.01" placeholder="Pr. dag" value="${clampFloat(g.avg_per_day) || ""}" />
-            <button class="remove small">Fjern</button>
+          <div class="row" data-idx="${idx}" data-key="${escapeHtml(g.id)}">
+            <input class="name" placeholder="${this._t("editor.name")}" value="${escapeHtml(g.name)}" />
+            <input class="target" type="number" step="1" placeholder="${this._t("editor.target")}" value="${clampInt(g.target)}" />
+            <input class="avg" type="number" step="0.01" placeholder="${this._t("editor.per_day")}" value="${clampFloat(g.avg_per_day) || ""}" />
+            <button class="remove small">${this._t("editor.remove")}</button>
+            <input class="steps" placeholder="${this._t("editor.steps")}" value="${escapeHtml(formatStepsText(g.steps))}" />
+            <input class="due" type="date" title="${this._t("editor.due_date")}" value="${g.due_date || ""}" />
+            <input class="entity" list="goal_entities" placeholder="${this._t("editor.entity")}" value="${escapeHtml(g.entity)}" />
+            <input class="milestones" placeholder="${this._t("editor.milestones")}" title="${this._t("editor.milestones")}" value="${(g.milestones || []).join(", ")}" />
+            <input class="reset" list="reset_periods" placeholder="${this._t("editor.reset")}" title="${this._t("editor.reset")}" value="${escapeHtml(g.reset)}" ${g.entity ? "disabled" : ""} />
           </div>
         `;
       })
       .join("");
 
+    const users = assignableUsers(this._hass);
     const checklistRows = checklist
       .map((it, idx) => {
         return `
-          <div class="row2" data-check-idx="${idx}">
-            <input class="label" placeholder="Punkt" value="${safeText(it.label)}" />
-            <button class="remove small">Fjern</button>
+          <div class="row2" data-check-idx="${idx}" data-key="${escapeHtml(it.id)}">
+            <input class="label" placeholder="${this._t("editor.item")}" value="${escapeHtml(it.label)}" />
+            <input class="group" list="check_groups" placeholder="${this._t("editor.group")}" value="${escapeHtml(it.group)}" />
+            <input class="qty" type="number" min="0" step="1" placeholder="${delivery.set_size}" value="${it.quantity ?? ""}" />
+            <button class="remove small">${this._t("editor.remove")}</button>
+            <input class="notes" placeholder="${this._t("editor.notes")}" value="${escapeHtml(it.notes)}" />
+            <select class="assignee" title="${this._t("editor.assignee")}">
+              <option value="">${this._t("editor.unassigned")}</option>
+              ${(users.some((u) => u.id === it.assignee) || !it.assignee ? users : [...users, { id: it.assignee, name: it.assignee }])
+                .map((u) => `<option value="${escapeHtml(u.id)}" ${u.id === it.assignee ? "selected" : ""}>${escapeHtml(u.name)}</option>`)
+                .join("")}
+            </select>
+            <input class="due" type="date" title="${this._t("editor.due_date")}" value="${it.due_date || ""}" />
           </div>
         `;
       })
       .join("");
 
-    this._root.innerHTML = `
+    morphChildren(
+      this._root,
+      `
       <style>${css}</style>
       <div class="wrap">
-        <div class="hdr">Titel</div>
-        <input id="title" placeholder="(valgfri)" value="${title}" />
+        ${problems.length ? `<div class="err">${problems.map((p) => `<div>${escapeHtml(p)}</div>`).join("")}</div>` : ""}
+        <div class="hdr">${this._t("editor.title")}</div>
+        <input id="title" placeholder="${this._t("editor.optional")}" value="${escapeHtml(title)}" />
+
+        <div class="hdr">${this._t("editor.language")}</div>
+        <select id="language">
+          <option value="" ${!language ? "selected" : ""}>${this._t("editor.language_auto")}</option>
+          ${Object.keys(TRANSLATIONS)
+            .map((l) => `<option value="${l}" ${language === l ? "selected" : ""}>${LANGUAGE_NAMES[l] || l}</option>`)
+            .join("")}
+        </select>
+
+        <div class="hdr">${this._t("editor.storage")}</div>
+        <select id="storage">
+          ${STORAGE_KINDS.map((k) => `<option value="${k}" ${storage === k ? "selected" : ""}>${this._t(`editor.storage_${k}`)}</option>`).join("")}
+        </select>
+        <div class="hint">${this._t("editor.storage_hint")}</div>
+
+        <div class="hdr">${this._t("editor.namespace")}</div>
+        <div class="row4">
+          <input id="namespace" placeholder="${this._t("editor.optional")}" value="${escapeHtml(this._config?.namespace)}" />
+          <label class="inline"><input id="per_user" type="checkbox" ${this._config?.per_user === true ? "checked" : ""} /> ${this._t("editor.per_user")}</label>
+        </div>
+        <div class="hint">${this._t("editor.namespace_hint")}</div>
+        ${
+          migration
+            ? `
+              <div class="hint">${escapeHtml(this._t("editor.migrate_confirm", { count: migration.keys.length, namespace: migration.prefix }))}</div>
+              <div class="hint">${this._t("editor.migrate_shared")}</div>
+              <div class="row3">
+                <button id="migrate_cancel" class="small">${this._t("editor.cancel")}</button>
+                <button id="migrate_run" class="small">${this._t("editor.migrate_run")}</button>
+              </div>
+            `
+            : storagePrefix(this._config, this._hass)
+              ? `<button id="migrate_scan" class="small">${this._t("editor.migrate")}</button>`
+              : ""
+        }
+        ${this._migrationNote ? `<div class="hint">${escapeHtml(this._migrationNote)}</div>` : ""}
+
+        <div class="hdr">${this._t("editor.default_steps")}</div>
+        <input id="steps" placeholder="${formatStepsText(normalizeSteps(DEFAULT_STEPS))}" value="${escapeHtml(formatStepsText(normalizeSteps(this._config?.steps)))}" />
+        <div class="hint">${this._t("editor.steps_hint")}</div>
+
+        <div class="hdr">${this._t("editor.goals")}</div>
+        ${goalRows || `<div class="hdr">${this._t("editor.no_goals")}</div>`}
+        <datalist id="reset_periods">${[...RESET_PERIODS, "0 6 * * 1"].map((p) => `<option value="${p}"></option>`).join("")}</datalist>
+        <div class="hint">${this._t("editor.reset_hint")}</div>
+        <datalist id="goal_entities">${goalEntities.map((id) => `<option value="${escapeHtml(id)}"></option>`).join("")}</datalist>
+        <button id="add">${this._t("editor.add_goal")}</button>
+
+        <div class="hdr">${this._t("editor.pace")}</div>
+        <div class="row4">
+          <input id="pace_window" type="number" min="1" max="${MAX_PACE_WINDOW}" step="1" title="${this._t("editor.pace_window")}" placeholder="${DEFAULT_PACE_WINDOW}" value="${pace.window}" />
+          <select id="eta_pace" title="${this._t("editor.eta_pace")}">
+            <option value="configured" ${pace.eta === "configured" ? "selected" : ""}>${this._t("editor.eta_configured")}</option>
+            <option value="measured" ${pace.eta === "measured" ? "selected" : ""}>${this._t("editor.eta_measured")}</option>
+          </select>
+        </div>
+        <div class="hint">${this._t("editor.pace_window")} · ${this._t("editor.eta_pace")}. ${this._t("editor.pace_hint")}</div>
 
-        <div class="hdr">Goals</div>
-        ${goalRows || `<div class="hdr">Ingen goals endnu</div>`}
-        <button id="add">Tilføj goal</button>
+        <div class="hdr">${this._t("editor.chart")}</div>
+        <div class="row4">
+          <input id="chart_days" type="number" min="2" max="365" step="1" title="${this._t("editor.chart_days")}" placeholder="${DEFAULT_CHART_DAYS}" value="${chart.days}" />
+          <label class="inline"><input id="chart" type="checkbox" ${chart.enabled ? "checked" : ""} /> ${this._t("editor.show_chart")}</label>
+        </div>
+        <div class="hint">${this._t("editor.chart_days")}</div>
+
+        <div class="hdr">${this._t("editor.activity")}</div>
+        <input id="activity_limit" type="number" min="0" max="100" step="1" placeholder="${DEFAULT_ACTIVITY_LIMIT}" value="${normalizeActivityLimit(this._config)}" />
+        <div class="hint">${this._t("editor.activity_hint")}</div>
+
+        <div class="hdr">${this._t("editor.workdays")}</div>
+        <div class="checks">
+          ${[1, 2, 3, 4, 5, 6, 0]
+            .map(
+              (idx) => `
+                <label>
+                  <input type="checkbox" data-weekday="${idx}" ${workdays.weekdays.has(idx) ? "checked" : ""} />
+                  ${weekdayName(idx)}
+                </label>
+              `
+            )
+            .join("")}
+        </div>
+        <input id="excluded_dates" placeholder="${this._t("editor.excluded_dates")}" value="${[...workdays.excluded].sort().join(", ")}" />
+        <input id="holiday_calendar" list="holiday_calendars" placeholder="${this._t("editor.holiday_calendar")}" value="${escapeHtml(workdays.calendar)}" />
+        <datalist id="holiday_calendars">${calendars.map((id) => `<option value="${escapeHtml(id)}"></option>`).join("")}</datalist>
+        <input id="workday_entity" list="workday_entities" placeholder="${this._t("editor.workday_entity")}" value="${escapeHtml(workdays.entity)}" />
+        <datalist id="workday_entities">${workdayEntities.map((id) => `<option value="${escapeHtml(id)}"></option>`).join("")}</datalist>
+        <div class="hint">${this._t("editor.workdays_hint")}</div>
 
-        <div class="hdr">Checkliste</div>
+        <div class="hdr">${this._t("editor.automation")}</div>
+        <input id="trigger_event" placeholder="${DEFAULT_TRIGGER_EVENT}" title="${this._t("editor.trigger_event")}" value="${automation.event === DEFAULT_TRIGGER_EVENT ? "" : escapeHtml(automation.event)}" />
+        <input id="trigger_service" placeholder="${this._t("editor.trigger_service")}" value="${escapeHtml(automation.service)}" />
+        <label class="inline"><input id="trigger_checklist" type="checkbox" ${automation.checklist_complete ? "checked" : ""} /> ${this._t("editor.trigger_checklist")}</label>
+        <div class="hint">${this._t("editor.automation_hint")}</div>
+
+        <div class="hdr">${this._t("editor.delivery")}</div>
+        <input id="set_size" type="number" min="1" step="1" placeholder="${DEFAULT_SET_SIZE}" value="${delivery.set_size}" />
+        <div class="hint">${this._t("editor.set_size_hint")}</div>
+        ${
+          goals.length
+            ? `<div class="checks">${goals
+                .map(
+                  (g) => `
+                    <label>
+                      <input type="checkbox" data-delivery-goal="${escapeHtml(g.id)}" ${!delivery.goals || delivery.goals.includes(g.id) ? "checked" : ""} />
+                      ${escapeHtml(g.name)}
+                    </label>
+                  `
+                )
+                .join("")}</div>
+              <div class="hint">${this._t("editor.delivery_goals_hint")}</div>`
+            : ""
+        }
+
+        <div class="hdr">${this._t("editor.checklist")}</div>
         <div class="row3">
           <input id="import_check" type="file" accept=".csv,.tsv,.txt,.xlsx,.xls" />
-          <button id="import_check_btn" class="small">Importér</button>
+          <button id="import_check_btn" class="small">${this._t("editor.import")}</button>
+        </div>
+        <div class="hint">${this._t("editor.import_hint")}</div>
+        <input id="checklist_reset" list="reset_periods" placeholder="${this._t("editor.checklist_reset")}" title="${this._t("editor.checklist_reset")}" value="${normalizeReset(this._config?.checklist_reset) || ""}" />
+        <div class="row3">
+          <div class="hint">${this._t("editor.export_hint")}</div>
+          <button id="export_btn" class="small">${this._t("editor.export")}</button>
         </div>
-        <div class="hint">Importer første kolonne fra CSV/TSV/TXT (eller XLSX hvis XLSX library er tilføjet).</div>
-        ${importErr ? `<div class="err">${importErr}</div>` : ""}
-        ${checklistRows || `<div class="hdr">Ingen punkter endnu</div>`}
-        <button id="add_check">Tilføj punkt</button>
+        ${importErr ? `<div class="err">${escapeHtml(importErr)}</div>` : ""}
+        ${this._renderImportDraft(checklist)}
+        ${checklistRows || `<div class="hdr">${this._t("editor.no_items")}</div>`}
+        <datalist id="check_groups">${groupChecklist(checklist)
+          .filter((g) => g.name)
+          .map((g) => `<option value="${escapeHtml(g.name)}"></option>`)
+          .join("")}</datalist>
+        <button id="add_check">${this._t("editor.add_item")}</button>
       </div>
-    `;
+    `
+    );
 
     const titleEl = this._root.querySelector("#title");
     if (titleEl) {
-      // Avoid re-render on each keystroke (it steals focus/selection).
-      titleEl.oninput = (e) => this._setTitle(e.target.value, false, false);
+      titleEl.oninput = (e) => this._setTitle(e.target.value, false, true);
       titleEl.onchange = (e) => this._setTitle(e.target.value, true, true);
       titleEl.onblur = (e) => this._setTitle(e.target.value, true, true);
     }
 
+    const languageEl = this._root.querySelector("#language");
+    if (languageEl) languageEl.onchange = (e) => this._setLanguage(e.target.value, true, true);
+    const storageEl = this._root.querySelector("#storage");
+    if (storageEl) storageEl.onchange = (e) => this._setOption("storage", e.target.value === "ws" ? null : e.target.value, true, true);
+    const namespaceEl = this._root.querySelector("#namespace");
+    if (namespaceEl) {
+      const setNamespace = (emit) => {
+        this._migration = null;
+        this._migrationNote = "";
+        this._setOption("namespace", safeText(namespaceEl.value).trim() || null, emit, true);
+      };
+      namespaceEl.oninput = () => setNamespace(false);
+      namespaceEl.onchange = () => setNamespace(true);
+      namespaceEl.onblur = () => setNamespace(true);
+    }
+    const perUserEl = this._root.querySelector("#per_user");
+    if (perUserEl) {
+      perUserEl.onchange = (e) => {
+        this._migration = null;
+        this._migrationNote = "";
+        this._setOption("per_user", e.target.checked ? true : null, true, true);
+      };
+    }
+    const migrateScanBtn = this._root.querySelector("#migrate_scan");
+    if (migrateScanBtn) migrateScanBtn.onclick = () => this._scanMigration();
+    const migrateCancelBtn = this._root.querySelector("#migrate_cancel");
+    if (migrateCancelBtn) {
+      migrateCancelBtn.onclick = () => {
+        this._migration = null;
+        this._render();
+      };
+    }
+    const migrateRunBtn = this._root.querySelector("#migrate_run");
+    if (migrateRunBtn) migrateRunBtn.onclick = () => this._runMigration();
+
+    const stepsEl = this._root.querySelector("#steps");
+    if (stepsEl) {
+      stepsEl.oninput = (e) => this._setSteps(e.target.value, false, true);
+      stepsEl.onchange = (e) => this._setSteps(e.target.value, true, true);
+      stepsEl.onblur = (e) => this._setSteps(e.target.value, true, true);
+    }
+
+    const paceWindowEl = this._root.querySelector("#pace_window");
+    if (paceWindowEl) {
+      const setWindow = (emit) => {
+        const n = clampInt(paceWindowEl.value);
+        this._setOption("pace_window", n > 0 && n !== DEFAULT_PACE_WINDOW ? n : null, emit, true);
+      };
+      paceWindowEl.oninput = () => setWindow(false);
+      paceWindowEl.onchange = () => setWindow(true);
+      paceWindowEl.onblur = () => setWindow(true);
+    }
+
+    const etaPaceEl = this._root.querySelector("#eta_pace");
+    if (etaPaceEl) {
+      etaPaceEl.onchange = (e) => this._setOption("eta_pace", e.target.value === "measured" ? "measured" : null, true, true);
+    }
+
+    const chartEl = this._root.querySelector("#chart");
+    if (chartEl) chartEl.onchange = (e) => this._setOption("chart", e.target.checked ? true : null, true, true);
+
+    const chartDaysEl = this._root.querySelector("#chart_days");
+    if (chartDaysEl) {
+      const setDays = (emit) => {
+        const n = clampInt(chartDaysEl.value);
+        this._setOption("chart_days", n > 1 && n !== DEFAULT_CHART_DAYS ? n : null, emit, true);
+      };
+      chartDaysEl.oninput = () => setDays(false);
+      chartDaysEl.onchange = () => setDays(true);
+      chartDaysEl.onblur = () => setDays(true);
+    }
+
+    const checklistResetEl = this._root.querySelector("#checklist_reset");
+    if (checklistResetEl) {
+      checklistResetEl.onchange = (e) => this._setOption("checklist_reset", normalizeReset(e.target.value), true, true);
+    }
+
+    const activityEl = this._root.querySelector("#activity_limit");
+    if (activityEl) {
+      const setLimit = (emit) => {
+        const raw = safeText(activityEl.value).trim();
+        const n = Math.min(Math.max(0, clampInt(raw)), 100);
+        this._setOption("activity_limit", raw === "" || n === DEFAULT_ACTIVITY_LIMIT ? null : n, emit, true);
+      };
+      activityEl.oninput = () => setLimit(false);
+      activityEl.onchange = () => setLimit(true);
+      activityEl.onblur = () => setLimit(true);
+    }
+
+    const weekdayEls = this._root.querySelectorAll("input[type=checkbox][data-weekday]");
+    for (const c of weekdayEls) {
+      c.onchange = () => {
+        const cur = normalizeWorkdays(this._config);
+        const picked = [...weekdayEls].filter((el) => el.checked).map((el) => clampInt(el.getAttribute("data-weekday")));
+        this._setWorkdays({ ...cur, weekdays: new Set(picked.length ? picked : WEEKDAYS.map((_, i) => i)) }, true, true);
+      };
+    }
+
+    const excludedEl = this._root.querySelector("#excluded_dates");
+    if (excludedEl) {
+      const setExcluded = (emit) => {
+        const cur = normalizeWorkdays(this._config);
+        const dates = safeText(excludedEl.value)
+          .split(/[,;\s]+/)
+          .map((d) => parseDayKey(d))
+          .filter(Boolean)
+          .map(dayKey);
+        this._setWorkdays({ ...cur, excluded: new Set(dates) }, emit, true);
+      };
+      excludedEl.oninput = () => setExcluded(false);
+      excludedEl.onchange = () => setExcluded(true);
+      excludedEl.onblur = () => setExcluded(true);
+    }
+
+    const calendarEl = this._root.querySelector("#holiday_calendar");
+    if (calendarEl) {
+      const setCalendar = (emit) => {
+        const cur = normalizeWorkdays(this._config);
+        this._setWorkdays({ ...cur, calendar: safeText(calendarEl.value).trim() }, emit, true);
+      };
+      calendarEl.oninput = () => setCalendar(false);
+      calendarEl.onchange = () => setCalendar(true);
+      calendarEl.onblur = () => setCalendar(true);
+    }
+
+    const workdayEl = this._root.querySelector("#workday_entity");
+    if (workdayEl) {
+      const setEntity = (emit) => {
+        const cur = normalizeWorkdays(this._config);
+        this._setWorkdays({ ...cur, entity: safeText(workdayEl.value).trim() }, emit, true);
+      };
+      workdayEl.oninput = () => setEntity(false);
+      workdayEl.onchange = () => setEntity(true);
+      workdayEl.onblur = () => setEntity(true);
+    }
+
+    for (const [sel, field] of [
+      ["#trigger_event", "event"],
+      ["#trigger_service", "service"],
+    ]) {
+      const el = this._root.querySelector(sel);
+      if (!el) continue;
+      const set = (emit) => {
+        const cur = normalizeAutomation(this._config?.automation);
+        this._setAutomation({ ...cur, [field]: safeText(el.value).trim() }, emit, true);
+      };
+      el.oninput = () => set(false);
+      el.onchange = () => set(true);
+      el.onblur = () => set(true);
+    }
+
+    const triggerChecklistEl = this._root.querySelector("#trigger_checklist");
+    if (triggerChecklistEl) {
+      triggerChecklistEl.onchange = (e) => {
+        const cur = normalizeAutomation(this._config?.automation);
+        this._setAutomation({ ...cur, checklist_complete: e.target.checked }, true, true);
+      };
+    }
+
+    const setSizeEl = this._root.querySelector("#set_size");
+    if (setSizeEl) {
+      const setSize = (emit) => {
+        const cur = normalizeDelivery(this._config?.delivery);
+        this._setDelivery({ ...cur, set_size: clampInt(setSizeEl.value) || DEFAULT_SET_SIZE }, emit, true);
+      };
+      setSizeEl.oninput = () => setSize(false);
+      setSizeEl.onchange = () => setSize(true);
+      setSizeEl.onblur = () => setSize(true);
+    }
+
+    const deliveryGoalEls = this._root.querySelectorAll("input[type=checkbox][data-delivery-goal]");
+    for (const c of deliveryGoalEls) {
+      c.onchange = () => {
+        const cur = normalizeDelivery(this._config?.delivery);
+        const allIds = normalizeGoals(this._config?.goals).map((g) => g.id);
+        const picked = [...deliveryGoalEls].filter((el) => el.checked).map((el) => el.getAttribute("data-delivery-goal"));
+        const goals = picked.length === allIds.length ? null : picked;
+        this._setDelivery({ ...cur, goals }, true, true);
+      };
+    }
+
     const addBtn = this._root.querySelector("#add");
     if (addBtn) {
       addBtn.onclick = () => {
         const curGoals = normalizeGoals(this._config?.goals);
         const used = new Set(curGoals.map((g) => g.id));
-        const name = "Nyt mål";
+        const name = this._t("editor.new_goal");
         const id = makeUniqueId(slugify(name), used);
-        const next = [...curGoals, { id, name, target: 0, avg_per_day: 0 }];
+        const next = [...curGoals, { id, name, target: 0, avg_per_day: 0, steps: null }];
         this._setGoals(next, true, true);
       };
     }
@@ -754,9 +4592,9 @@ class GoalCounterCardEditor extends HTMLElement {
       addCheckBtn.onclick = () => {
         const curItems = normalizeChecklist(this._config?.checklist);
         const used = new Set(curItems.map((it) => it.id));
-        const label = "Nyt punkt";
+        const label = this._t("editor.new_item");
         const id = makeUniqueId(slugify(label), used);
-        const next = [...curItems, { id, label }];
+        const next = [...curItems, { id, label, quantity: null }];
         this._setChecklist(next, true, true);
       };
     }
@@ -771,41 +4609,79 @@ class GoalCounterCardEditor extends HTMLElement {
     if (importBtn) importBtn.onclick = runImport;
     if (importInput) importInput.onchange = runImport;
 
+    const importHeader = this._root.querySelector("#import_header");
+    if (importHeader) {
+      importHeader.onchange = (e) => {
+        if (!this._importDraft) return;
+        this._importDraft.mapping.header = clampInt(e.target.value);
+        this._render();
+      };
+    }
+    this._root.querySelectorAll("select[data-import-field]").forEach((el) => {
+      el.onchange = (e) => {
+        if (!this._importDraft) return;
+        this._importDraft.mapping[el.getAttribute("data-import-field")] = clampInt(e.target.value);
+        this._render();
+      };
+    });
+    const importCancel = this._root.querySelector("#import_cancel");
+    if (importCancel) {
+      importCancel.onclick = () => {
+        this._importDraft = null;
+        this._render();
+      };
+    }
+    const importConfirm = this._root.querySelector("#import_confirm");
+    if (importConfirm) importConfirm.onclick = () => this._confirmImport();
+
+    const exportBtn = this._root.querySelector("#export_btn");
+    if (exportBtn) exportBtn.onclick = () => this._exportFile();
+
     const rows = this._root.querySelectorAll(".row[data-idx]");
     rows.forEach((rowEl) => {
       const idx = clampInt(rowEl.getAttribute("data-idx"));
       const nameEl = rowEl.querySelector("input.name");
       const targetEl = rowEl.querySelector("input.target");
       const avgEl = rowEl.querySelector("input.avg");
+      const stepsEl = rowEl.querySelector("input.steps");
+      const dueEl = rowEl.querySelector("input.due");
+      const entityEl = rowEl.querySelector("input.entity");
+      const milestonesEl = rowEl.querySelector("input.milestones");
+      const resetEl = rowEl.querySelector("input.reset");
       const rmEl = rowEl.querySelector("button.remove");
 
-      const update = () => {
-        const liveGoals = normalizeGoals(this._config?.goals);
-        const cur = liveGoals[idx];
-        if (!cur) return;
+      const readRow = (cur) => {
         const name = safeText(nameEl?.value).trim();
         const target = clampInt(targetEl?.value);
         const avg_per_day = clampFloat(avgEl?.value);
+        const steps = parseStepsText(stepsEl?.value);
+        const due = parseDayKey(dueEl?.value);
+        const entity = safeText(entityEl?.value).trim() || null;
+        const milestones = parseMilestonesText(milestonesEl?.value);
+        const reset = normalizeReset(resetEl?.value);
         const id = cur.id || slugify(name);
-        const next = liveGoals.map((g, i) => (i === idx ? { id, name, target, avg_per_day } : g));
+        return { ...cur, id, name, target, avg_per_day, steps, due_date: due ? dayKey(due) : null, entity, milestones, reset };
+      };
+
+      const update = () => {
+        const liveGoals = normalizeGoals(this._config?.goals);
+        const cur = liveGoals[idx];
+        if (!cur) return;
+        const next = liveGoals.map((g, i) => (i === idx ? readRow(cur) : g));
         // Do not emit config-changed on each keystroke.
-        this._setGoals(next, false, false);
+        this._setGoals(next, false, true);
       };
 
       const updateAndRerender = () => {
         const liveGoals = normalizeGoals(this._config?.goals);
         const cur = liveGoals[idx];
         if (!cur) return;
-        const name = safeText(nameEl?.value).trim();
-        const target = clampInt(targetEl?.value);
-        const avg_per_day = clampFloat(avgEl?.value);
-        const id = cur.id || slugify(name);
-        const next = liveGoals.map((g, i) => (i === idx ? { id, name, target, avg_per_day } : g));
+        const next = liveGoals.map((g, i) => (i === idx ? readRow(cur) : g));
         this._setGoals(next, true, true);
       };
 
+      // Names commit on change/blur only, so an emptied name is not normalized away mid-typing.
       if (nameEl) {
-        nameEl.oninput = update;
         nameEl.onchange = updateAndRerender;
         nameEl.onblur = updateAndRerender;
       }
@@ -819,6 +4695,25 @@ class GoalCounterCardEditor extends HTMLElement {
         avgEl.onchange = updateAndRerender;
         avgEl.onblur = updateAndRerender;
       }
+      if (stepsEl) {
+        stepsEl.oninput = update;
+        stepsEl.onchange = updateAndRerender;
+        stepsEl.onblur = updateAndRerender;
+      }
+      if (dueEl) {
+        dueEl.onchange = updateAndRerender;
+      }
+      if (entityEl) {
+        entityEl.oninput = update;
+        entityEl.onchange = updateAndRerender;
+        entityEl.onblur = updateAndRerender;
+      }
+      if (resetEl) resetEl.onchange = updateAndRerender;
+      if (milestonesEl) {
+        milestonesEl.oninput = update;
+        milestonesEl.onchange = updateAndRerender;
+        milestonesEl.onblur = updateAndRerender;
+      }
       if (rmEl) {
         rmEl.onclick = () => {
           const liveGoals = normalizeGoals(this._config?.goals);
@@ -832,33 +4727,63 @@ class GoalCounterCardEditor extends HTMLElement {
     checkRows.forEach((rowEl) => {
       const idx = clampInt(rowEl.getAttribute("data-check-idx"));
       const labelEl = rowEl.querySelector("input.label");
+      const groupEl = rowEl.querySelector("input.group");
+      const qtyEl = rowEl.querySelector("input.qty");
+      const notesEl = rowEl.querySelector("input.notes");
+      const assigneeEl = rowEl.querySelector("select.assignee");
+      const dueEl = rowEl.querySelector("input.due");
       const rmEl = rowEl.querySelector("button.remove");
 
+      const readRow = (cur) => {
+        const label = safeText(labelEl?.value).trim();
+        const group = safeText(groupEl?.value).trim();
+        const quantity = safeText(qtyEl?.value).trim() === "" ? null : Math.max(0, clampInt(qtyEl.value));
+        const notes = safeText(notesEl?.value).trim();
+        const assignee = safeText(assigneeEl?.value).trim();
+        const due = parseDayKey(dueEl?.value);
+        const id = cur.id || slugify(label);
+        return { ...cur, id, label, group, quantity, notes, assignee, due_date: due ? dayKey(due) : null };
+      };
+
       const update = () => {
         const live = normalizeChecklist(this._config?.checklist);
         const cur = live[idx];
         if (!cur) return;
-        const label = safeText(labelEl?.value).trim();
-        const id = cur.id || slugify(label);
-        const next = live.map((it, i) => (i === idx ? { id, label } : it));
-        this._setChecklist(next, false, false);
+        const next = live.map((it, i) => (i === idx ? readRow(cur) : it));
+        // Do not emit config-changed on each keystroke.
+        this._setChecklist(next, false, true);
       };
 
       const updateAndRerender = () => {
         const live = normalizeChecklist(this._config?.checklist);
         const cur = live[idx];
         if (!cur) return;
-        const label = safeText(labelEl?.value).trim();
-        const id = cur.id || slugify(label);
-        const next = live.map((it, i) => (i === idx ? { id, label } : it));
+        const next = live.map((it, i) => (i === idx ? readRow(cur) : it));
         this._setChecklist(next, true, true);
       };
 
+      // Labels commit on change/blur only, like goal names.
       if (labelEl) {
-        labelEl.oninput = update;
         labelEl.onchange = updateAndRerender;
         labelEl.onblur = updateAndRerender;
       }
+      if (groupEl) {
+        groupEl.oninput = update;
+        groupEl.onchange = updateAndRerender;
+        groupEl.onblur = updateAndRerender;
+      }
+      if (notesEl) {
+        notesEl.oninput = update;
+        notesEl.onchange = updateAndRerender;
+        notesEl.onblur = updateAndRerender;
+      }
+      if (assigneeEl) assigneeEl.onchange = updateAndRerender;
+      if (dueEl) dueEl.onchange = updateAndRerender;
+      if (qtyEl) {
+        qtyEl.oninput = update;
+        qtyEl.onchange = updateAndRerender;
+        qtyEl.onblur = updateAndRerender;
+      }
       if (rmEl) {
         rmEl.onclick = () => {
           const live = normalizeChecklist(this._config?.checklist);